@@ -7,9 +7,13 @@
 
 const {check, checkFile} = require('./lib/check');
 const checkGulpFileStream = require('./lib/gulp');
+const Config = require('./lib/config');
+const rules = require('./lib/rules');
 
 module.exports = {
   check,
   checkFile,
-  checkGulpFileStream
+  checkGulpFileStream,
+  Config,
+  rules
 };
@@ -27,10 +27,27 @@ function withUnit (unit, count) {
 /**
  * Batch keeps a record of results across a series of file checks and can
  * report file results and summary results.
+ *
+ * Results are printed as human-readable text by default. If `options.format`
+ * is `json` or `sarif`, the results for each file are collected and printed as
+ * a single document when the summary is reported.
+ *
+ * If `options.config` is a `Config` object, each file is checked with the
+ * options it determines for that file. Other options take precedence.
+ *
+ * Results are printed to STDOUT unless `options.output` is a different
+ * `Console` object to print to.
+ *
+ * If `options.fix` and `options.dryRun` are both set, fixes are not written to
+ * files. Instead, a diff of the changes is printed for each file.
  */
 class Batch {
   constructor (options = null) {
     this.options = options;
+    this.config = (options && options.config) || null;
+    this.output = (options && options.output) || console;
+    this.format = (options && options.format) || 'text';
+    this.results = [];
     this.summary = {
       files: 0,
       errors: 0,
@@ -59,7 +76,9 @@ class Batch {
    * @returns {Promise<{issues: Array<YAMLException>, fixed: string}>|null}
    */
   async checkFile (filePath, content, options = null) {
-    options = Object.assign({}, this.options, options);
+    const fileOptions = this.config && this.config.optionsForFile(filePath);
+    options = Object.assign({}, fileOptions, this.options, options);
+    if (options.dryRun) options.write = false;
 
     try {
       const result = await check.checkFile(filePath, content, options);
@@ -93,26 +112,47 @@ class Batch {
    * @param {string} filePath Path to file to check
    * @param {Buffer} [content] Optional content of the file.
    * @param {any} [options]  Options to pass to `check`.
+   * @returns {Promise<{issues: Array<YAMLException>, fixed: string, content: string, fixedContent: string}>|null}
    */
   async reportFile (filePath, content, options = null) {
     const result = await this.checkFile(filePath, content, options);
+    if (!result) return null;
 
-    if (result && result.issues.length) {
-      format.printIssues(filePath, result.issues);
+    if (this.format !== 'text') {
+      this.results.push({filePath, issues: result.issues});
     }
+    else if (result.issues.length) {
+      format.printIssues(filePath, result.issues, this.output);
+    }
+
+    if (this.format === 'text' && this.options && this.options.dryRun && result.fixedContent) {
+      format.printDiff(filePath, result.content, result.fixedContent, result.issues, this.output);
+    }
+
+    return result;
   }
 
   /**
-   * Write a summary of found/fixed issues to STDOUT.
+   * Write a summary of found/fixed issues to STDOUT. For formats other than
+   * `text`, this writes all the collected results along with the summary.
    */
   reportSummary () {
+    if (this.format === 'json') {
+      format.printJson(this.results, this.summary, this.output);
+      return;
+    }
+    else if (this.format === 'sarif') {
+      format.printSarif(this.results, this.output);
+      return;
+    }
+
     // List any files that couldn't be read.
     if (this.summary.unreadablePaths.length) {
       const unreadable = this.summary.unreadablePaths;
       const fileText = unreadable.length === 1 ? 'file' : 'files';
-      console.log(`Could not read ${unreadable.length} ${fileText}:`);
-      unreadable.forEach(path => console.log(`  ${path}`));
-      console.log();
+      this.output.log(`Could not read ${unreadable.length} ${fileText}:`);
+      unreadable.forEach(path => this.output.log(`  ${path}`));
+      this.output.log();
     }
 
     // Count files and types of issues.
@@ -121,7 +161,8 @@ class Batch {
       withUnit('warning', this.summary.warnings),
       `${this.summary.fixed} fixed`
     ].join(', ');
-    console.log(`${breakdown} in ${withUnit('file', this.summary.files)}`);
+    const dryRun = this.options && this.options.dryRun ? ' (dry run, no files were changed)' : '';
+    this.output.log(`${breakdown} in ${withUnit('file', this.summary.files)}${dryRun}`);
   }
 
   /**
@@ -10,14 +10,33 @@
 'use strict';
 
 const chalk = require('chalk');
+const {compatTargetNames, describeDisagreement, getCompatTargets} = require('./compat');
+const Directives = require('./directives');
 const fsPromises = require('fs/promises');
+const {describeLossyType, isImplicitBoolean, yamlVersions} = require('./implicit-types');
+const {detectDocumentIndentation, detectTabWidth, expandTabs, findTabIndentedLines} = require('./indentation');
+const {findSchemaViolations, loadJsonSchema} = require('./json-schema');
 const parsePage = require('./parse-page');
 const path = require('path');
 const StringEditor = require('./string-editor');
 const util = require('util');
+const verifyFix = require('./verify-fix');
 const yaml = require('js-yaml');
 
 const entityAnchor = /^((#\d+)|(#x[0-9a-fA-F]+)|(\w+));$/;
+// Anchors (optionally after a tag) and aliases. Names end at whitespace or a
+// flow indicator, the same as in js-yaml.
+const anchorProperty = /(?:![^\s,[\]{}]*[ \t]+)?&([^\s,[\]{}]+)/y;
+const aliasNode = /\*([^\s,[\]{}]+)/y;
+// An alias like `*important*` or `*very important*` was probably meant to be
+// Markdown emphasis.
+const emphasisLike = /^\*[^*\s][^*\r\n]*\*/;
+const emphasisAdvice = 'It looks like Markdown emphasis; if it was supposed to be a string, add quotes around it.';
+// Anchor names that parsers based on libyaml (and PyYAML) can read.
+const simpleAnchorName = /^[A-Za-z0-9_-]+$/;
+// Every parser we know about, for describing which ones read unquoted values
+// as booleans when the `compat` option isn't set.
+const knownParsers = getCompatTargets(compatTargetNames);
 
 // If a quote is followed by one of these things, it's reasonable that it might
 // actually be the end of a quoted string (as opposed to a quote in the middle
@@ -36,15 +55,37 @@ const tokensAfterString = /^($|\s*[:,\]}\n#])/;
 // regex is meant to identify and warn for this situation.
 const unquotedVariablePattern = /^\{\{\s*\w+\s*\}\}/;
 const endsWithBackslashes = /\\+$/;
+// Scalars that start with one of these are not plain scalars (or have tags,
+// anchors, or aliases), and so aren't subject to implicit typing.
+const notPlainScalar = /^["'!&*|>[{]/;
+// Typographic quotes that people sometimes use (usually by accident, when
+// pasting from a word processor) to quote strings, keyed by opening quote.
+// `inside` matches quotes that would mean the outer ones aren't a pair, like
+// `“Hello,” she said, “goodbye.”` (closing single quotes are usually
+// apostrophes, so those are fine).
+const smartQuotes = {
+  '\u201C': {close: '\u201D', quote: '"', inside: /[\u201C\u201D]/},
+  '\u2018': {close: '\u2019', quote: "'", inside: /\u2018/}
+};
+// A comment after a plain scalar where the text starts right after the `#`,
+// like `#1` or `#hashtag`. These are probably meant to be part of the value
+// (comments normally have a space after the `#`). Text in a value is only
+// separated by a single space, though, and markers like `#TODO` are usually
+// real comments even without a space.
+const commentLikeValue = /^[ \t](#(?!(TODO|FIXME|XXX|HACK|NOTE)\b)[^ \t#\r\n\u0000][^\r\n\u0000]*)/;
 // When guessing at the end location of a quoted scalar value that is missing
 // its end quote, this matches a next line that looks like it might not be
-// meant to be part of the scalar.
-const lineAfterQuotedScalar = /^(\s*)(-\s|-\s\w+\s*:\s|\w+\s*:\s|\u{0000}|$)/u;
+// meant to be part of the scalar (including comments, like the
+// `# yaml-doctor-disable-next-line` directive, and document markers or
+// directives, which always end a scalar).
+const lineAfterQuotedScalar = /^(\s*)(-\s|-\s\w+\s*:\s|\w+\s*:\s|#|(?<=^)(?:---|\.\.\.)(?=\s|$)|(?<=^)%|\u{0000}|$)/u;
 // Used to match simplistic flow sequences (lists with square brackets instead
 // of ones listed out line by line) that actually might just be at the start of
 // a string. We combine this with a few more tests to determine if the sequence
 // is probably the start of a string and not actually a sequence.
 const simpleSequence = /\[[^\]'"]*/g;
+// The same, but for flow mappings (with curly braces).
+const simpleMapping = /\{[^}'"]*/g;
 // Identify non-printable/invalid characters that aren't in YAML at all,
 // including unicode C0 and C1 control characters, surrogates without a correct
 // previous/next byte, etc. See the spec:
@@ -52,6 +93,69 @@ const simpleSequence = /\[[^\]'"]*/g;
 // This expression is shamelessly stolen from js-yaml:
 //   https://github.com/nodeca/js-yaml/blob/2d1fbed8f3a76ff93cccb9a8a418b4c4a482d3d9/lib/js-yaml/loader.js#L26
 const nonPrintablePattern = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x84\x86-\x9F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF]/g;
+// Rules that explain what would otherwise be syntax errors.
+const explainsSyntaxErrors = new Set([
+  'unescaped-quote',
+  'unterminated-string',
+  'leading-at-sign',
+  'unquoted-colon',
+  'leading-bracket',
+  'leading-indicator',
+  'undefined-alias'
+]);
+
+// Indicator characters that can't start a plain (unquoted) string, but that
+// people often start prose with. Each one's `prose()` gets the rest of the
+// line (starting with the indicator), the column it's at, and whether it
+// follows a `key: ` on the same line, and decides whether the value is
+// probably meant as a string rather than YAML syntax. `reason` can also be a
+// function of the same things.
+const quoteAdvice = 'If this was supposed to be a string, add quotes around it.';
+const leadingIndicators = {
+  '@': {
+    rule: 'leading-at-sign',
+    level: 'warning',
+    reason: '`@` cannot start any token',
+    prose: () => true
+  },
+  '`': {
+    rule: 'leading-indicator',
+    reason: `\`\` \` \`\` is reserved and cannot start any token. ${quoteAdvice}`,
+    prose: () => true
+  },
+  '%': {
+    rule: 'leading-indicator',
+    reason: `\`%\` starts a directive and cannot start a value. ${quoteAdvice}`,
+    // Directives like `%YAML 1.2` are only allowed at the start of a line.
+    prose: ({column}) => column > 0
+  },
+  '!': {
+    rule: 'leading-indicator',
+    reason: `\`!\` starts a tag (like \`!!str\`) and cannot start a value. ${quoteAdvice}`,
+    prose: ({line}) => !/^!(!?[\w-]+|<[^>]*>)([ \t]|$)/.test(line)
+  },
+  '*': {
+    rule: 'leading-indicator',
+    reason: ({line}) => `\`*\` starts an alias (a reference to an \`&anchor\`) and cannot start a value. ${emphasisLike.test(line) ? emphasisAdvice : quoteAdvice}`,
+    // An alias is a single name, though it can also be a key.
+    prose: ({line}) => !/^\*[^\s,[\]{}]*[^\s,[\]{}*]([ \t]*:([ \t].*)?)?[ \t]*(#.*)?$/.test(line)
+  },
+  '|': {
+    rule: 'leading-indicator',
+    reason: `\`|\` starts a multi-line string, which has to begin on the next line. ${quoteAdvice}`,
+    prose: ({line}) => !/^\|[-+1-9]*[ \t]*(#.*)?$/.test(line)
+  },
+  '>': {
+    rule: 'leading-indicator',
+    reason: `\`>\` starts a folded multi-line string, which has to begin on the next line. ${quoteAdvice}`,
+    prose: ({line}) => !/^>[-+1-9]*[ \t]*(#.*)?$/.test(line)
+  },
+  '?': {
+    rule: 'leading-indicator',
+    reason: `\`?\` followed by a space starts a mapping key and cannot start a value. ${quoteAdvice}`,
+    prose: ({line, afterKey}) => afterKey && /^\?([ \t]|$)/.test(line)
+  }
+};
 
 
 /**
@@ -64,31 +168,232 @@ const nonPrintablePattern = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x84\x86-\x9F\uFFFE
  * @param {boolean} [options.removeInvalidCharacters=true]  Some characters are not allowed in YAML at all. If `true`,
  *   this will simply remove them from the YAML source. See details in the YAML spec:
  *   https://yaml.org/spec/1.2/spec.html#id2770814
- * @returns {{issues: Array<YAMLException>, fixed: string}} A list of issues and, if `options.fix` was true, a fixed
- *   string of YAML source. Each issue is an Error object, and has a `level` property that is one of `error`,
- *   `warning`, or `fixed`.
+ * @param {boolean} [options.escapeInvalidCharacters=false]  When fixing, replace invalid characters in double-quoted
+ *   and plain scalars with escape sequences (converting plain scalars to double-quoted ones) instead of removing them.
+ *   Anywhere else (e.g. in single-quoted or block scalars, tags, or anchors), they are removed.
+ * @param {Object<string, string>} [options.rules]  Change the level of issues found by particular rules, keyed by rule
+ *   ID. Each value is one of `error`, `warning`, or `off`. Rules that are `off` don't report or fix anything.
+ * @param {boolean} [options.reportUnusedDirectives=false]  Report `# yaml-doctor-disable` comments that did not
+ *   suppress any issues.
+ * @param {string} [options.yamlVersion='1.1']  The version of YAML that tools reading the source follow, which
+ *   determines which unquoted values are booleans, numbers, or dates. One of `1.1` or `1.2`.
+ * @param {string|Array<string>} [options.compat=null]  Other parsers the source needs to work with: `pyyaml`,
+ *   `psych`, `go-yaml`, or `yaml-1.2-core`. Constructs those parsers read differently from js-yaml or fail to read
+ *   are reported, and unquoted values are checked against the YAML versions they follow instead of `yamlVersion`.
+ * @param {string} [options.keepDuplicateKey=null]  When fixing, resolve duplicate keys in block mappings by keeping
+ *   the `first` or `last` entry with the key and removing the others. If not set, duplicate keys are not fixed.
+ * @param {number|string} [options.indentation=null]  The number of spaces to use for each level when fixes need to
+ *   indent lines. If not set, it's detected separately for each document in the source (and
+ *   is two spaces if there's nothing to detect it from).
+ * @param {object} [options.jsonSchema=null]  A JSON Schema to validate each document against. Documents are only
+ *   validated if the source has no syntax errors (once fixable ones are fixed).
+ * @returns {{issues: Array<YAMLException>, fixed: string}} A list of issues
+ *   and, if `options.fix` was true, a fixed string of YAML source. Each issue
+ *   is an Error object, and has a `rule` property with the ID of the rule that
+ *   found it (see `lib/rules.js`) and a `level` property that is one of
+ *   `error`, `warning`, or `fixed`. Fixed issues also have an `edits` property
+ *   listing the replacements that fixed them, as `{start, end, text}` objects
+ *   where `start` and `end` are positions in the original source.
  */
-function check (yamlText, {filename, debug = false, fix = false, removeInvalidCharacters = true} = {}) {
+function check (yamlText, options = {}) {
+  return checkWithSkippedFixes(yamlText, options, new Set());
+}
+
+// Does the actual work of `check()`. If fixing, issues in `skippedFixes` (see
+// `fixKey()`) aren't fixed, since fixing them broke something on a previous
+// try.
+function checkWithSkippedFixes (yamlText, options, skippedFixes) {
+  let {filename, debug = false, fix = false, removeInvalidCharacters = true, escapeInvalidCharacters = false, rules = null, reportUnusedDirectives = false, keepDuplicateKey = null, yamlVersion = '1.1', compat = null, indentation = null, jsonSchema = null} = options;
   if (Buffer.isBuffer(yamlText)) yamlText = yamlText.toString('utf8');
+  const ruleLevels = rules || {};
+  // Versions are often written unquoted in configuration files, so accept
+  // numbers, too.
+  yamlVersion = String(yamlVersion);
+  const compatTargets = getCompatTargets(compat);
+  // The YAML versions to check unquoted numbers and dates against, and (for
+  // `compat`) the parsers that follow each one.
+  const implicitTypeVersions = compatTargets.length
+    ? yamlVersions
+      .map(version => ({
+        version,
+        readers: describeDisagreement(compatTargets, target => target.yamlVersion === version)
+      }))
+      .filter(({readers}) => readers)
+    : [{version: yamlVersion, readers: null}];
+  let reportedCompatAlias = false;
+  const directives = new Directives(yamlText);
   const issues = [];
   let previousState = null;
   let unquotedVariablePosition = -1;
-  let atSignPosition = -1;
+  let colonValuePosition = -1;
   let lastTokenPosition = -1;
+  let parseErrorPosition = null;
+  // The parser error for a problem a rule that's off or suppressed would have
+  // repaired, if any.
+  let unrepairedSyntaxError = null;
+  let implicitTypePosition = -1;
+  // Every anchor that was defined, so we can find ones that are never used.
+  // (Each document has its own set of anchors, which js-yaml keeps in
+  // `state.anchorMap`.)
+  const anchors = [];
+  // Invalid characters that will be escaped once we know what kind of scalar
+  // they are in (see below).
+  let pendingInvalidCharacters = [];
 
   // Track indentation level of the current token so we can use it to correct
   // under-indented lines. (Only the `open` operation will have the correct
   // indentation, but fix things in the `close` operation.)
   let tokenIndent = 0;
   let tokenIndentWarnings = [];
+  // The outermost flow collection (`[...]` or `{...}`) we are in, if any.
+  // Under-indented lines in it are fixed based on its indentation instead.
+  let flowCollection = null;
+  // What to indent with when fixing those lines (see `indentationAt()`).
+  let documentIndentation = null;
+  if (indentation != null) {
+    indentation = ' '.repeat(Number(indentation));
+  }
+
+  // Track the nodes that are currently open and the keys in each one so we
+  // can find duplicate keys. (js-yaml allows them in `json` mode.)
+  const openNodes = [];
 
   const stateEditor = new StringEditor(yamlText);
   const fixedEditor = new StringEditor(yamlText);
 
   function spliceState (state, position, remove = 0, insert = '') {
     stateEditor.splice(position, remove, insert);
-    state.input = stateEditor.value + '\u0000';
-    state.length = stateEditor.value.length;
+    // Like js-yaml, make sure the input ends with a line break.
+    const lineBreak = /[\r\n]$/.test(stateEditor.value) ? '' : '\n';
+    state.input = stateEditor.value + lineBreak + '\u0000';
+    state.length = stateEditor.value.length + lineBreak.length;
+  }
+
+  // Wrap an unquoted scalar that starts at `start` in double quotes, escaping
+  // any quotes in it. Where the scalar ends has to be guessed, since it was
+  // probably not parsed correctly without quotes. Returns whether it was
+  // quoted.
+  function quoteScalar (state, error, start) {
+    const quoteType = '"';
+    let startPosition = start;
+    let endPosition = -1;
+    while (startPosition > -1) {
+      const [position, exact] = findProbableEndOfScalar(state.input, quoteType, startPosition, false, state.lineIndent);
+
+      // If we couldn't find an end, we can't fix this.
+      if (position === -1) return false;
+
+      // An exact ending is a quote. Because we are *wrapping* in a new set of
+      // quotes, we need to escape the quote here.
+      if (exact) {
+        // Escape the quote we found.
+        const escape = quoteType === "'" ? "'" : '\\';
+        if (shouldFix(error)) {
+          const fixedPosition = fixedPositionFromState(position);
+          spliceFixed(error, fixedPosition, 0, escape);
+        }
+        spliceState(state, position, 0, escape);
+        startPosition = position + 2;
+
+        if (tokensAfterString.test(state.input.slice(startPosition))) {
+          endPosition = startPosition;
+        }
+      }
+      else {
+        endPosition = position;
+      }
+
+      // If we guessed at an ending, then we're done. Wrap everything up in
+      // quotes.
+      if (endPosition > -1) {
+        // A comment can't be part of an unquoted scalar, so leave it out.
+        const scalar = state.input.slice(start, endPosition).replace(/[ \t]+#[^\n]*$/, '');
+        if (shouldFix(error)) {
+          const fixedPosition = fixedPositionFromState(start);
+          spliceFixed(error, fixedPosition, scalar.length, `"${scalar}"`);
+          error.level = 'fixed';
+        }
+        spliceState(state, start, scalar.length, `"${scalar}"`);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Fix lines that were under-indented relative to a token (based on the
+  // warnings the parser gave for them), given the token's indentation.
+  function fixUnderIndentedLines (warnings, indent) {
+    if (!fix) return;
+
+    for (const warning of warnings) {
+      if (!shouldFix(warning)) continue;
+
+      const position = fixedEditor.currentPosition(warning.mark.position);
+      // The parser warns about the (empty) end of the file when a flow
+      // collection there is never closed. There's nothing to indent.
+      if (position >= fixedEditor.value.length || /[\r\n]/.test(fixedEditor.value[position])) continue;
+
+      const lineStart = fixedEditor.value.lastIndexOf('\n', position) + 1;
+      // The first line should define the expected indentation, so there
+      // should be nothing to fix.
+      if (lineStart > 0) {
+        // TODO: should we do more to validate expectations here -- e.g. that
+        // the indentation we're adding is still needed?
+        // To be technically correct, we need to indent subsequent lines by at
+        // least one character, but to look nice, indent them one level more
+        // than the token, however levels are indented in the document.
+        const unit = indentationAt(warning.mark.position);
+        const existingIndent = position - lineStart;
+        const missing = indent + unit.length - existingIndent;
+        if (missing <= 0) continue;
+        spliceFixed(warning, position, 0, ' '.repeat(missing));
+        warning.level = 'fixed';
+      }
+    }
+  }
+
+  // Get the text for one level of indentation in the document that includes a
+  // position in the original source. This is always spaces: YAML doesn't count
+  // tabs as indentation, so documents indented with tabs get the spaces their
+  // tabs are replaced with (see `mixed-indentation` below).
+  function indentationAt (position) {
+    if (indentation) return indentation;
+
+    documentIndentation = documentIndentation || detectDocumentIndentation(yamlText);
+    const document = documentIndentation.find(({end}) => position < end);
+    const detected = document && document.indentation;
+    if (detected === '\t') return ' '.repeat(tabWidth || 2);
+    return detected || '  ';
+  }
+
+  // Determine whether an issue will be reported. Rules that are turned off or
+  // suppressed by a `# yaml-doctor-disable` comment neither report nor fix
+  // issues. Their issues are still collected (and filtered out at the end),
+  // but they shouldn't repair the parser's input, either, since that would
+  // hide the syntax error underneath.
+  function isEnabled (issue) {
+    return ruleLevels[issue.rule] !== 'off' && !directives.suppresses(issue);
+  }
+
+  // Determine whether an issue should be fixed.
+  function shouldFix (issue) {
+    return fix && isEnabled(issue) && !skippedFixes.has(fixKey(issue));
+  }
+
+  // Edit the fixed version of the source and keep a record of the edit on the
+  // issue it fixes. Recorded edits use positions in the original source, so
+  // reporters can describe exactly what changed for each issue.
+  function spliceFixed (issue, position, remove = 0, insert = '') {
+    const start = fixedEditor.originalPosition(position);
+    const end = fixedEditor.originalPosition(position + remove);
+    fixedEditor.splice(position, remove, insert);
+
+    // Later edits for the same issue sometimes replace text inserted by
+    // earlier ones (e.g. escaping a quote and then wrapping the whole scalar
+    // in quotes), so drop any edits the new one covers.
+    const edits = (issue.edits || []).filter(edit => edit.start < start || edit.end > end);
+    edits.push({start, end, text: insert});
+    issue.edits = edits.sort((a, b) => a.start - b.start);
   }
 
   function fixedPositionFromState (statePosition) {
@@ -96,51 +401,318 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
     return fixedEditor.currentPosition(originalPosition);
   }
 
+  // Replace a quoted scalar (from `start` to `end` in the parser's input)
+  // with a new one. The fix is recorded on `error`, and any fixes for
+  // `coveredErrors` inside the scalar are dropped, since the replacement
+  // includes them.
+  function replaceScalar (state, error, coveredErrors, start, end, replacement) {
+    if (error.level === 'fixed') {
+      const fixedStart = fixedPositionFromState(start);
+      const fixedEnd = fixedPositionFromState(end);
+      const originalStart = fixedEditor.originalPosition(fixedStart);
+      const originalEnd = fixedEditor.originalPosition(fixedEnd);
+      for (const covered of coveredErrors) {
+        if (covered !== error && covered.edits) {
+          covered.edits = covered.edits.filter(edit => edit.end < originalStart || edit.start > originalEnd);
+        }
+      }
+      spliceFixed(error, fixedStart, fixedEnd - fixedStart, replacement);
+    }
+    spliceState(state, start, end - start, replacement);
+  }
+
+  // Report a key that was already used earlier in the same mapping.
+  // `occurrences` has the first and last entries with the key so far. Entries
+  // have the key's name, where the key starts, and where the value ends (in
+  // the parser's current input).
+  function checkDuplicateKey (state, mapping, occurrences, entry) {
+    const firstMark = stateEditor.markOriginalPosition(occurrences.first.start);
+    const error = createIssue(
+      'duplicate-key',
+      `duplicate key "${entry.name}" (first defined on line ${firstMark.line + 1}, column ${firstMark.column + 1})`,
+      stateEditor.markOriginalPosition(entry.start, state.filename)
+    );
+    issues.push(error);
+
+    // Keep either the first entry or the latest one, removing the others.
+    const remove = keepDuplicateKey === 'first' ? entry : occurrences.last;
+    occurrences.last = entry;
+
+    if (!keepDuplicateKey || mapping.opener === '{' || !shouldFix(error)) return;
+
+    const range = findEntryLines(state.input, remove.start, remove.end);
+    if (range) {
+      const fixedStart = fixedPositionFromState(range[0]);
+      const fixedEnd = fixedPositionFromState(range[1]);
+      spliceFixed(error, fixedStart, fixedEnd - fixedStart);
+      error.level = 'fixed';
+    }
+  }
+
+  // Report something that some of the `compat` targets read differently from
+  // js-yaml or fail to read at all. `describe` gets the names of the ones that
+  // disagree. Returns the issue, if there was one.
+  function checkCompat (state, position, disagrees, describe) {
+    const parsers = describeDisagreement(compatTargets, disagrees);
+    if (!parsers) return null;
+
+    const error = createIssue(
+      'parser-compat',
+      describe(parsers),
+      stateEditor.markOriginalPosition(position, state.filename)
+    );
+    issues.push(error);
+    return error;
+  }
+
+  // Keep track of anchors and check that aliases refer to one, given the
+  // position of a node that is about to be parsed.
+  function checkAnchorsAndAliases (state, position) {
+    anchorProperty.lastIndex = position;
+    aliasNode.lastIndex = position;
+    const anchorMatch = anchorProperty.exec(state.input);
+    const aliasMatch = !anchorMatch && aliasNode.exec(state.input);
+    if (!anchorMatch && !aliasMatch) return;
+
+    // HTML entities that look like anchors get their own warning.
+    const name = (anchorMatch || aliasMatch)[1];
+    if (!simpleAnchorName.test(name) && !entityAnchor.test(name)) {
+      const kind = anchorMatch ? 'anchor' : 'alias';
+      checkCompat(state, position, target => target.anchorNames, parsers => {
+        return `The ${kind} name "${name}" has characters other than letters, numbers, "-", and "_", so ${parsers} can't parse it.`;
+      });
+    }
+
+    if (anchorMatch) {
+      const anchorPosition = position + anchorMatch[0].length - name.length - 1;
+      anchors.push({
+        name,
+        mark: stateEditor.markOriginalPosition(anchorPosition, state.filename),
+        document: state.anchorMap,
+        used: false
+      });
+      return;
+    }
+
+    // This applies to every alias, so only report the first one.
+    if (!reportedCompatAlias) {
+      reportedCompatAlias = Boolean(checkCompat(state, position, target => !target.aliases, parsers => {
+        return `${parsers} can't parse aliases by default (Psych 4's \`YAML.load\` has to be called with \`aliases: true\`).`;
+      }));
+    }
+
+    const anchor = anchors.slice().reverse().find(anchor => {
+      return anchor.document === state.anchorMap && anchor.name === name;
+    });
+    if (anchor) {
+      anchor.used = true;
+      return;
+    }
+
+    let reason = `alias "*${name}" refers to an anchor named "${name}", but there is no such anchor`;
+    if (state.input.slice(position).includes(`&${name}`)) {
+      reason += ' yet (anchors have to be defined before aliases that refer to them)';
+    }
+    if (emphasisLike.test(state.input.slice(position))) {
+      reason += `. ${emphasisAdvice}`;
+    }
+    const error = createIssue(
+      'undefined-alias',
+      reason,
+      stateEditor.markOriginalPosition(position, state.filename)
+    );
+    issues.push(error);
+
+    // js-yaml fails on undefined aliases, so replace it with an empty mapping
+    // (which also works if it's merged with `<<`) in order to keep parsing.
+    if (isEnabled(error)) {
+      spliceState(state, position, aliasMatch[0].length, '{}');
+    }
+  }
+
+  // Tabs are fine for separating tokens on a line in js-yaml, but not in a lot
+  // of other parsers. Check the space before a node that is about to be
+  // parsed.
+  function checkTabSeparator (state, position) {
+    if (flowCollection) return;
+
+    const separatorStart = state.input.slice(0, position).search(/[ \t]*$/);
+    const separator = state.input.slice(separatorStart, position);
+    const indicator = state.input[separatorStart - 1];
+    if (!separator.includes('\t') || separatorStart === 0 || /[\r\n]/.test(indicator)) return;
+
+    const error = checkCompat(state, separatorStart, target => {
+      return target.tabSeparators === 'all' ||
+        (target.tabSeparators === 'indicators' && (indicator === '-' || indicator === '?'));
+    }, parsers => `${parsers} can't parse tabs between tokens here. Use spaces instead.`);
+
+    if (error && shouldFix(error)) {
+      spliceFixed(error, fixedPositionFromState(separatorStart), separator.length, ' ');
+      error.level = 'fixed';
+    }
+  }
+
+  // Check that a value (which just closed) for a `<<` merge key is a mapping
+  // or a list of mappings.
+  function checkMergeValue (state, node) {
+    const value = state.result;
+    const isMapping = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+    if (isMapping(value) || (Array.isArray(value) && value.every(isMapping))) return;
+
+    let description = `a ${typeof value}`;
+    if (value === null) description = 'null';
+    else if (Array.isArray(value)) description = 'a list with something other than mappings in it';
+    issues.push(createIssue(
+      'invalid-merge',
+      `"<<" merges the keys of a mapping (or a list of mappings) into this mapping, but this value is ${description}`,
+      stateEditor.markOriginalPosition(node.start, state.filename)
+    ));
+
+    // js-yaml fails to merge anything else, so merge nothing instead in order
+    // to keep parsing.
+    state.result = {};
+  }
+
+  // Fix invalid characters (found before parsing; see below) in a scalar that
+  // just closed by escaping them, if it is a double-quoted or plain scalar.
+  // Returns true if there were any to fix.
+  function escapeInvalidCharactersIn (state, node) {
+    // Invalid characters were removed from the parser's input, so include any
+    // that were right before the start of the scalar.
+    // Plain scalars don't have an explicit end, so include any right after it
+    // as well. Quoted ones do, so don't.
+    const style = state.input[node.start];
+    const start = node.start > 0 ? stateEditor.originalPosition(node.start - 1) + 1 : 0;
+    const end = style === '"'
+      ? stateEditor.originalPosition(state.position - 1) + 1
+      : stateEditor.originalPosition(state.position);
+    const inside = pendingInvalidCharacters.filter(({position}) => position >= start && position < end);
+    if (!inside.length) return false;
+    pendingInvalidCharacters = pendingInvalidCharacters.filter(item => !inside.includes(item));
+
+    // If another fix already rewrote the scalar, leave the characters removed.
+    const rewritten = issues.some(issue => issue.rule !== 'invalid-character' && (issue.edits || []).some(edit => {
+      return edit.start < end && edit.end > start;
+    }));
+    if (rewritten) return false;
+
+    // It's easiest to replace the whole scalar in the fixed source, but record
+    // an edit for each character so each issue describes its own fix.
+    const escape = text => text.replace(nonPrintablePattern, match => {
+      return match.length === 1 && !isSurrogate(match) ? escapeCharacter(match) : '';
+    });
+    let source = yamlText.slice(start, end);
+    let replacement;
+    if (style === '"') {
+      replacement = escape(source);
+      inside.forEach(({error, position, character}) => {
+        error.edits = [{start: position, end: position + 1, text: escapeCharacter(character)}];
+      });
+    }
+    else if (!notPlainScalar.test(style)) {
+      // Plain scalars have to be converted to double-quoted ones, so there's
+      // just one edit. (Trailing whitespace before a comment is not part of
+      // the scalar.)
+      source = source.replace(/[ \t\r\n]+$/, '');
+      replacement = `"${escape(escapeDoubleQuoted(source))}"`;
+      inside.forEach(({error}) => error.edits = []);
+      inside[0].error.edits = [{start, end: start + source.length, text: replacement}];
+    }
+    else {
+      return false;
+    }
+
+    // The invalid characters are already removed from the fixed source. (Find
+    // the start from the character before it, since a position where
+    // something was removed maps to just before the removal.)
+    const fixedStart = start > 0 ? fixedEditor.currentPosition(start - 1) + 1 : 0;
+    const fixedEnd = fixedStart + source.replace(nonPrintablePattern, '').length;
+    fixedEditor.splice(fixedStart, fixedEnd - fixedStart, replacement);
+    return true;
+  }
+
   // Handle invalid, non-printable characters that are not allowed at all in a
   // YAML document. For more, see the relevant specification section:
   //   https://yaml.org/spec/1.2/spec.html#id2770814
   //
   // We'd have to handle this logic slightly differently in
   // every given context if we did it inline with the parsing routine, so for
-  // now, do it in a single pass before the parser starts. The downside is that
-  // means the only fix we can apply is *removing* the character (it can only
-  // be escaped in certain contexts; see below for more).
+  // now, do it in a single pass before the parser starts and remove them from
+  // the parser's input (and from the fixed output). If we are escaping them,
+  // keep track of them so escape sequences can be added back in when the
+  // scalar they are in is parsed.
   nonPrintablePattern.lastIndex = 0;
   var nonPrintableMatch;
   while (nonPrintableMatch = nonPrintablePattern.exec(stateEditor.value)) {
     const position = nonPrintableMatch.index;
     const codePoint = `#x${nonPrintableMatch[0].codePointAt(0).toString(16).padStart(2, '0')}`;
-    const error = new yaml.YAMLException(
+    const error = createIssue(
+      'invalid-character',
       `The non-printable character ${codePoint} is not allowed in YAML`,
       stateEditor.markOriginalPosition(position, filename)
     );
-    error.level = 'error';
 
-    // Only fix it if we are allowed to *remove* invalid characters. Replacing
-    // invalid characters with escape sequences is only allowed in
-    // double-quoted strings, which would be a much more complex operation and
-    // would have to happen in-line with the parser:
-    //   - If in an unquoted flow scalar, double-quote the scalar and escape
+    // Escape sequences are only allowed in double-quoted strings, so:
     //   - If in a double-quoted scalar, escape
-    //   - If in a single-quoted scalar or a block scalar...
-    //     - Can't fix? Or...
-    //     - Do a stupid amount of work to convert to a double-quoted scalar
-    //       and escape?
-    //   - If in a tag, anchor, or reference, remove or can't fix.
-    //   - Not sure if I'm missing any other relevant spots. In whitespace
-    //     around a token? (Would we treat it as part of the token?)
-    if (fix && removeInvalidCharacters) {
+    //   - If in an unquoted flow scalar, double-quote the scalar and escape
+    //   - If in a single-quoted scalar or a block scalar, remove. (We could
+    //     convert to a double-quoted scalar and escape, but that's a lot of
+    //     work for a rare situation.)
+    //   - If in a tag, anchor, or reference, or in whitespace or comments
+    //     around a token, remove.
+    // (Unpaired surrogates can't be escaped in a meaningful way, so always
+    // remove them.)
+    const escapable = nonPrintableMatch[0].length === 1 && !isSurrogate(nonPrintableMatch[0]);
+    if (escapeInvalidCharacters && escapable && shouldFix(error)) {
+      pendingInvalidCharacters.push({
+        error,
+        position: error.mark.position,
+        character: nonPrintableMatch[0]
+      });
+    }
+    if ((removeInvalidCharacters || escapeInvalidCharacters) && shouldFix(error)) {
       const fixedPosition = fixedPositionFromState(position);
-      fixedEditor.splice(fixedPosition, 1);
+      spliceFixed(error, fixedPosition, 1);
       error.level = 'fixed';
     }
 
     // Use stateEditor.splice() instead of spliceState() because we don't have
     // a state object yet (because the actual parser hasn't started).
     stateEditor.splice(position, 1);
+    nonPrintablePattern.lastIndex = position;
     issues.push(error);
   }
 
+  // Tabs aren't allowed in indentation, but the parser is pretty lenient about
+  // them: it only sometimes fails, and otherwise reads tab-indented lines as
+  // not being indented at all. Replace them with spaces in the parser's input
+  // (and in the fixed output), using whatever tab width makes the document
+  // parse. (If there isn't one, leave them alone and let the parser report
+  // any error they cause below.)
+  const tabIndentedLines = findTabIndentedLines(stateEditor.value);
+  const tabWidth = detectTabWidth(stateEditor.value, tabIndentedLines);
+  let tabOffset = 0;
+  for (const {start, indent} of tabIndentedLines) {
+    const position = start + tabOffset;
+    const error = createIssue(
+      'mixed-indentation',
+      indent.includes(' ') ? 'line is indented with mixed spaces and tabs' : 'line is indented with tabs',
+      stateEditor.markOriginalPosition(position, filename)
+    );
+    issues.push(error);
+    if (!tabWidth) continue;
+
+    const spaces = expandTabs(indent, tabWidth);
+    if (shouldFix(error)) {
+      spliceFixed(error, fixedPositionFromState(position), indent.length, spaces);
+      error.level = 'fixed';
+    }
+
+    // As above, there's no state object yet.
+    stateEditor.splice(position, indent.length, spaces);
+    tabOffset += spaces.length - indent.length;
+  }
+
   try {
     // NOTE: we use loadAll() and specify `schema` instead of safeLoadAll()
     // because options don't get passed through without an iterator:
@@ -150,6 +722,7 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
       json: true,
       schema: yaml.DEFAULT_SAFE_SCHEMA,
       onWarning (warning) {
+        warning.rule = 'parser-warning';
         warning.level = 'warning';
         warning.mark = stateEditor.markOriginalPosition(warning.mark.position, filename);
         issues.push(warning);
@@ -157,10 +730,21 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
         // Keep track of indentation warnings so can update them if they get
         // fixed later on.
         if (warning.message.includes('deficient indentation')) {
-          const expectedIndent = tokenIndent + 1;
+          warning.rule = 'under-indented';
+          const expectedIndent = (flowCollection ? flowCollection.indent : tokenIndent) + 1;
           warning.reason = `line is under-indented (it should be indented at least ${expectedIndent})`;
           warning.message = `${warning.reason} ${warning.mark}`;
-          tokenIndentWarnings.push(warning);
+
+          // Every line in a flow collection (including lines in scalars it
+          // contains) is indented to the same level, so these can be fixed
+          // right away, before any later fixes (like quoting a value at the
+          // start of the line) make the line's original position ambiguous.
+          if (flowCollection) {
+            fixUnderIndentedLines([warning], flowCollection.indent);
+          }
+          else {
+            tokenIndentWarnings.push(warning);
+          }
         }
       },
       listener (operation, state) {
@@ -174,6 +758,20 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
           const nextTokenStart = findNextNonSpace(state.input, state.position);
           const nextTokenChar = state.input[nextTokenStart];
 
+          const nodeStart = findNextNonWhitespace(state.input, state.position);
+          openNodes.push({
+            start: nodeStart,
+            opener: state.input[nodeStart],
+            keys: new Map(),
+            key: null
+          });
+          if (!flowCollection && (nextTokenChar === '[' || nextTokenChar === '{')) {
+            flowCollection = {
+              node: openNodes[openNodes.length - 1],
+              indent: tokenIndent
+            };
+          }
+
           // Detect unescaped quotes in quoted strings. e.g:
           // `key: 'a quoted scalar's quotes must be escaped!'
           //                       ^ This should have been escaped
@@ -192,10 +790,13 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
             const quoteType = nextTokenChar;
             let startPosition = nextTokenStart + 1;
             let endPosition = -1;
-            const guessable = quoteType === '"';
             let unescapedCount = 0;
+            // Whether the scalar seems to start with a quoted passage, like
+            // `'Hello' said the cat`, based on the first unescaped quote.
+            let leadingPhrase = false;
+            const quoteErrors = [];
             while (startPosition > -1) {
-              const [position, exact] = findProbableEndOfScalar(state.input, quoteType, startPosition, !guessable, state.lineIndent);
+              const [position, exact] = findProbableEndOfScalar(state.input, quoteType, startPosition, false, state.lineIndent);
 
               if (!exact) {
                 // This is meant to handle YAML like:
@@ -218,24 +819,30 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
                 //
                 //   ^ There's only one key + one value there instead of two!
                 //
+                // The same goes for strings that simply never end, which
+                // would otherwise swallow the following lines (and produce
+                // confusing errors about quotes and indentation there):
+                //
+                //   parent:
+                //     key: 'Something and some more stuff
+                //   next_key: 'Whatever'
+                //
                 // NOTE: no need to handle the opposite situation, where a
                 // string ends but doesn't start with a quote, because YAML's
                 // tries-to-do-the-right-thing parsing handles that fine.
                 //
-                // TODO: is there a similar case for single-quote strings we
-                // can handle here? Going back to the beginning, quoting, and
-                // escaping feels like it might be more complicated.
-                // (Note: we only guess inexact endings for double-quote
-                // quote strings because of this; see above code.)
-                //
                 // TODO: refine our guessing? Only accept the guess if there
                 // were an odd number of double quotes in the string (plus the
                 // one at the start), suggesting an actual quote?
-                const error = new yaml.YAMLException(
-                  'quoted string has no end quote (did you start the string with quotes, but those weren\'t meant to quote the whole string?)',
+                const paired = unescapedCount % 2 !== 0;
+                const error = createIssue(
+                  'unterminated-string',
+                  paired
+                    ? 'quoted string has no end quote (did you start the string with quotes, but those weren\'t meant to quote the whole string?)'
+                    : 'quoted string never ends (there is no end quote, but it probably should have ended at the end of this line)',
                   stateEditor.markOriginalPosition(position, state.filename)
                 );
-                error.level = fix ? 'fixed' : 'error';
+                if (shouldFix(error)) error.level = 'fixed';
                 issues.push(error);
 
                 const fullString = state.input.slice(nextTokenStart, position);
@@ -246,17 +853,32 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
                 // quote (to start the scalar value) before it. Otherwise, we
                 // only need to add the quote at the end.
                 //
-                // NOTE: this is making a big assumption that the double quotes
-                // are being used in pairs. In English, we might refine this if
+                // NOTE: this is making a big assumption that the quotes are
+                // being used in pairs. In English, we might refine this if
                 // the quote is directly after a number (e.g. 5" for inches or
                 // seconds), but I'm not sure about other languages. We're
                 // getting especially speculative here.
-                const prefix = (unescapedCount % 2 == 0) ? '' : '"\\';
-                const replacement = `${prefix}${fullString}"`;
-                if (fix) {
+                //
+                // Escaping the starting quote in a single-quoted scalar (by
+                // doubling it) gets hard to read, so convert those to
+                // double-quoted scalars instead, e.g:
+                //
+                //   key: "'Hello' said the cat"
+                if (paired && quoteType === "'") {
+                  const text = `'${unescapeSingleQuoted(fullString.slice(1))}`;
+                  const replacement = `"${escapeDoubleQuoted(text)}"`;
+                  replaceScalar(state, error, quoteErrors, nextTokenStart, position, replacement);
+                  startPosition = -1;
+                  endPosition = nextTokenStart + replacement.length - 1;
+                  break;
+                }
+
+                const prefix = paired ? '"\\' : '';
+                const replacement = `${prefix}${fullString}${quoteType}`;
+                if (error.level === 'fixed') {
                   const fixedStart = fixedPositionFromState(nextTokenStart);
                   const fixedPosition = fixedPositionFromState(position);
-                  fixedEditor.splice(fixedStart, fixedPosition - fixedStart, replacement);
+                  spliceFixed(error, fixedStart, fixedPosition - fixedStart, replacement);
                 }
                 spliceState(state, nextTokenStart, fullString.length, replacement);
                 // Move ahead by the number of added characters - 1. (Subtract
@@ -272,18 +894,32 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
               }
 
               unescapedCount++;
-              const error = new yaml.YAMLException(
+              if (unescapedCount === 1) {
+                // A quote that follows a word and is followed by a space or
+                // punctuation probably closes a quoted passage.
+                leadingPhrase = /\S/.test(state.input[position - 1]) && /[\s.;!?)]/.test(state.input[position + 1]);
+              }
+              const error = createIssue(
+                'unescaped-quote',
                 'unescaped quote in quoted string',
                 stateEditor.markOriginalPosition(position, state.filename)
               );
-              error.level = fix ? 'fixed' : 'error';
+              if (shouldFix(error)) error.level = 'fixed';
               issues.push(error);
+              // Leave the string alone (and let the parser fail on it) if
+              // the rule is off.
+              if (!isEnabled(error)) {
+                startPosition = -1;
+                endPosition = -1;
+                break;
+              }
+              quoteErrors.push(error);
               // Repair the error in memory so that parsing can continue past it and
               // find other issues.
               const escape = quoteType === "'" ? "'" : '\\';
-              if (fix) {
+              if (error.level === 'fixed') {
                 const fixedPosition = fixedPositionFromState(position);
-                fixedEditor.splice(fixedPosition, 0, escape);
+                spliceFixed(error, fixedPosition, 0, escape);
               }
               spliceState(state, position, 0, escape);
               startPosition = position + 2;
@@ -291,6 +927,19 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
               continue;
             }
 
+            // If the scalar started with a quoted passage and the quotes are
+            // balanced, the quotes at the start and end were probably meant to
+            // be part of the value, too, like `'Hello' said the 'cat'`. Wrap
+            // the whole thing in a new set of double quotes.
+            if (endPosition > -1 && leadingPhrase && unescapedCount % 2 === 0) {
+              const content = state.input.slice(nextTokenStart + 1, endPosition);
+              const replacement = quoteType === "'"
+                ? `"${escapeDoubleQuoted(`'${unescapeSingleQuoted(content)}'`)}"`
+                : `"\\"${content}\\""`;
+              replaceScalar(state, quoteErrors[0], quoteErrors, nextTokenStart, endPosition + 1, replacement);
+              endPosition = nextTokenStart + replacement.length - 1;
+            }
+
             // Identify invalid escape sequences in double-quoted strings
             if (endPosition > -1 && quoteType === '"') {
               let position = nextTokenStart;
@@ -298,8 +947,6 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
               while (position > -1 && position < endPosition) {
                 position = state.input.indexOf('\\', position);
 
-                // TODO: provide smarter feedback around \x##, \u####, and
-                // \U######## that have the wrong number of digits?
                 if (position === -1 || position >= endPosition) break;
                 if (
                   isSimpleEscape(state.input.charCodeAt(position + 1)) ||
@@ -309,23 +956,27 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
                   continue;
                 }
 
-                const error = new yaml.YAMLException(
-                  `Invalid escape sequence: "\\${state.input[position + 1]}"`,
+                const {reason, remove, insert} = describeInvalidEscape(state.input, position);
+                const error = createIssue(
+                  'invalid-escape',
+                  reason,
                   stateEditor.markOriginalPosition(position, state.filename)
                 );
-                error.level = fix ? 'fixed' : 'error';
+                if (shouldFix(error)) error.level = 'fixed';
                 issues.push(error);
 
-                // Repair the error by just dropping the slash. This lets us
-                // continue parsing and find further errors later.
-                if (fix) {
+                // Repair the error so we can continue parsing and find further
+                // errors later.
+                if (error.level === 'fixed') {
                   const fixedPosition = fixedPositionFromState(position);
-                  fixedEditor.splice(fixedPosition, 1);
+                  spliceFixed(error, fixedPosition, remove, insert);
                 }
-                spliceState(state, position, 1);
+                spliceState(state, position, remove, insert);
+                endPosition += insert.length - remove;
 
-                // No need to update position because we removed a char, so
-                // position is now directly after the slash.
+                // Skip whatever we inserted. (If we just removed the slash,
+                // position is now directly after it.)
+                position += insert.length;
               }
             }
           }
@@ -350,106 +1001,87 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
             if (unquotedVariableMatch) {
               let match = unquotedVariableMatch;
               unquotedVariablePosition = nextTokenStart;
-              const error = new yaml.YAMLException(
+              const error = createIssue(
+                'unquoted-template',
                 `Did you mean to substitute a variable? It must be quoted: '${match[0]}'`,
-                stateEditor.markOriginalPosition(unquotedVariablePosition, state.filename)
+                stateEditor.markOriginalPosition(unquotedVariablePosition, state.filename),
+                'warning'
               );
-              error.level = fix ? 'fixed' : 'warning';
+              if (shouldFix(error)) error.level = 'fixed';
               issues.push(error);
 
-              if (fix) {
+              if (error.level === 'fixed') {
                 const fixedPosition = fixedPositionFromState(nextTokenStart);
-                fixedEditor.splice(fixedPosition, match[0].length, `'${match[0]}'`);
+                spliceFixed(error, fixedPosition, match[0].length, `'${match[0]}'`);
                 spliceState(state, nextTokenStart, match[0].length, `'${match[0]}'`);
               }
             }
           }
 
-          // Handle @ signs that start string values
-          if (state.position > atSignPosition && nextTokenChar === '@') {
-            atSignPosition = nextTokenStart;
-            const error = new yaml.YAMLException(
-              '`@` cannot start any token',
-              stateEditor.markOriginalPosition(nextTokenStart, state.filename)
-            );
-            error.level = 'warning';
-            issues.push(error);
-
-            // Figure out where this string should probably end, because we
-            // are going to wrap the whole thing in double quotes.
-            const quoteType = '"';
-            let startPosition = nextTokenStart;
-            let endPosition = -1;
-            while (startPosition > -1) {
-              const [position, exact] = findProbableEndOfScalar(state.input, quoteType, startPosition, false, state.lineIndent);
-
-              // If we couldn't find an end, we can't fix this.
-              if (position === -1) {
-                startPosition = -1;
-                break;
-              }
+          // Handle values that start with an indicator character but are
+          // probably just prose, like `@username` or `*very* important`.
+          // Inside flow collections, commas and brackets make it too hard to
+          // tell where prose would end, but `@` is never valid anywhere.
+          const indicator = leadingIndicators[nextTokenChar];
+          if (
+            indicator &&
+            nextTokenStart > lastTokenPosition &&
+            (nextTokenChar === '@' || !flowCollection)
+          ) {
+            const lineStart = state.input.lastIndexOf('\n', nextTokenStart - 1) + 1;
+            const lineEnd = state.input.slice(nextTokenStart).search(/[\r\n\u0000]|$/);
+            const context = {
+              line: state.input.slice(nextTokenStart, nextTokenStart + lineEnd),
+              column: nextTokenStart - lineStart,
+              afterKey: /:[ \t]+$/.test(state.input.slice(lineStart, nextTokenStart))
+            };
+            if (indicator.prose(context)) {
+              const error = createIssue(
+                indicator.rule,
+                typeof indicator.reason === 'function' ? indicator.reason(context) : indicator.reason,
+                stateEditor.markOriginalPosition(nextTokenStart, state.filename),
+                indicator.level
+              );
+              issues.push(error);
 
-              // An exact ending is a quote. Because we are *wrapping* in a
-              // new set of quotes, we need to escape the quote here.
-              if (exact) {
-                // Escape the quote we found.
-                const escape = quoteType === "'" ? "'" : '\\';
-                if (fix) {
-                  const fixedPosition = fixedPositionFromState(position);
-                  fixedEditor.splice(fixedPosition, 0, escape);
-                }
-                spliceState(state, position, 0, escape);
-                startPosition = position + 2;
+              if (isEnabled(error)) quoteScalar(state, error, nextTokenStart);
+            }
+          }
 
-                if (tokensAfterString.test(state.input.slice(startPosition))) {
-                  endPosition = startPosition;
-                }
-              }
-              else {
-                endPosition = position;
-              }
+          // Handle plain values with a colon in them, which are parsed as the
+          // start of a nested mapping (and then fail with "mapping values are
+          // not allowed here"). A mapping can't start on the same line as its
+          // parent key's value, so a `: ` after a key and another `: ` on the
+          // same line is never valid.
+          if (
+            state.position > colonValuePosition &&
+            !flowCollection &&
+            !notPlainScalar.test(nextTokenChar) &&
+            !/[-?:,\]}#%@`]/.test(nextTokenChar)
+          ) {
+            const lineStart = state.input.lastIndexOf('\n', nextTokenStart - 1) + 1;
+            const lineEnd = state.input.slice(nextTokenStart).search(/[\r\n\u0000]|[ \t]#/);
+            const line = state.input.slice(nextTokenStart, nextTokenStart + lineEnd);
+            const colon = line.search(/:([ \t]|$)/);
+            if (/:[ \t]+$/.test(state.input.slice(lineStart, nextTokenStart)) && colon > -1) {
+              colonValuePosition = nextTokenStart;
+              const error = createIssue(
+                'unquoted-colon',
+                'unquoted colon in value',
+                stateEditor.markOriginalPosition(nextTokenStart + colon, state.filename)
+              );
+              issues.push(error);
 
-              // If we guessed at an ending, then we're done. Wrap everything
-              // up in quotes.
-              if (endPosition > -1) {
-                const scalar = state.input.slice(nextTokenStart, endPosition);
-                if (fix) {
-                  const fixedPosition = fixedPositionFromState(nextTokenStart);
-                  fixedEditor.splice(fixedPosition, scalar.length, `"${scalar}"`);
-                  error.level = 'fixed';
-                }
-                spliceState(state, nextTokenStart, scalar.length, `"${scalar}"`);
-                break;
+              // Quotes in the value confuse our guess at where it ends.
+              if (!line.includes('"') && isEnabled(error)) {
+                quoteScalar(state, error, nextTokenStart);
               }
-
-              continue;
             }
           }
 
-          // TODO: detect unterminated quoted strings. The parser sort-of does
-          // this, but only if no other string with the same kind of quotes
-          // occurs later in the file to cause the unterminated string to end.
-          // We could do a reasonable-effort test to detect what *looks* like
-          // it should be a string termination. e.g. this situation doesn't
-          // provide the clearest messaging without more help:
-          //
-          //     parent:
-          //       key: "Something" and some more stuff
-          //     next_key: "Whatever"
-          //
-          // We detect the failure to escape the quote after `Something`, but
-          // then allowing the parser to continue as we do means that the
-          // string keeps going until the end of `Whatever` and we detect the
-          // starting quote for `Whatever` as an enescaped quote in the prior
-          // string *and* we get a `deficient indentation` warning because the
-          // line for `next_key` is outdented.
-          //
-          // EXAMPLE:
-          //   _content/how-to/marketing/chapters/3.campaign-management.md:17
-
-          // Handle strings that start with `[`, which actually get parsed as
-          // sequences (and then they probably end incorrectly).
-          // For example, this is an entry in one of our files:
+          // Handle strings that start with `[` or `{`, which actually get
+          // parsed as flow collections (and then they probably end
+          // incorrectly). For example, this is an entry in one of our files:
           //
           //     quote: '[Asana] blah blah blah'
           //
@@ -460,93 +1092,209 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
           // That parses wrong, and gets us an unclear error message: "can not
           // read a block mapping entry; a multiline key may not be an implicit
           // key"
-          if (nextTokenStart > lastTokenPosition && nextTokenChar === '[') {
-            simpleSequence.lastIndex = nextTokenStart;
+          if (nextTokenStart > lastTokenPosition && (nextTokenChar === '[' || nextTokenChar === '{')) {
+            const [pattern, closer] = nextTokenChar === '['
+              ? [simpleSequence, ']']
+              : [simpleMapping, '}'];
+            pattern.lastIndex = nextTokenStart;
             // The regex here looks for pretty simple situations, where the
-            // square brackets don't have any quotes. Then we check that the
-            // closing square bracket isn't followed by something that might
-            // not be regular text (i.e. this could really be a sequence).
+            // brackets don't have any quotes. Then we check that the closing
+            // bracket isn't followed by something that might not be regular
+            // text (i.e. this could really be a collection).
             // We could probably do better with more work, but this handles
             // all the situations we've seen in practice well.
-            const sequenceMatch = simpleSequence.exec(state.input);
-            const sequenceEnd = nextTokenStart + sequenceMatch[0].length;
-            if (state.input[sequenceEnd] === ']' && !tokensAfterString.test(state.input.slice(sequenceEnd + 1))) {
-              const suggestion = `"${sequenceMatch[0]}]${state.input.slice(sequenceEnd + 1, sequenceEnd + 5)}..."`;
-              const error = new yaml.YAMLException(
-                `\`[\` cannot start a string. If this was supposed to be a string, add quotes around it: ${suggestion}`,
+            const collectionMatch = pattern.exec(state.input);
+            const collectionEnd = nextTokenStart + collectionMatch[0].length;
+            if (state.input[collectionEnd] === closer && !tokensAfterString.test(state.input.slice(collectionEnd + 1))) {
+              const suggestion = `"${collectionMatch[0]}${closer}${state.input.slice(collectionEnd + 1, collectionEnd + 5)}..."`;
+              const error = createIssue(
+                'leading-bracket',
+                `\`${nextTokenChar}\` cannot start a string. If this was supposed to be a string, add quotes around it: ${suggestion}`,
                 stateEditor.markOriginalPosition(nextTokenStart, state.filename)
               );
-              error.level = 'error';
               issues.push(error);
 
-              // Figure out where this string should probably end, because we
-              // are going to wrap the whole thing in double quotes.
-              // TODO: unify this with how we handle `@` signs.
-              const quoteType = '"';
-              let startPosition = nextTokenStart;
-              let endPosition = -1;
-              while (startPosition > -1) {
-                const [position, exact] = findProbableEndOfScalar(state.input, quoteType, startPosition, false, state.lineIndent);
-
-                // If we couldn't find an end, we can't fix this.
-                if (position === -1) {
-                  startPosition = -1;
-                  break;
-                }
+              if (isEnabled(error)) quoteScalar(state, error, nextTokenStart);
+            }
+          }
 
-                // An exact ending is a quote. Because we are *wrapping* in a
-                // new set of quotes, we need to escape the quote here.
-                if (exact) {
-                  // Escape the quote we found.
-                  const escape = quoteType === "'" ? "'" : '\\';
-                  if (fix) {
-                    const fixedPosition = fixedPositionFromState(position);
-                    fixedEditor.splice(fixedPosition, 0, escape);
-                  }
-                  spliceState(state, position, 0, escape);
-                  startPosition = position + 2;
+          if (nextTokenStart > lastTokenPosition) {
+            checkAnchorsAndAliases(state, nextTokenStart);
+            checkTabSeparator(state, nextTokenStart);
+          }
+
+          lastTokenPosition = nextTokenStart;
+        }
+
+        if (operation === 'close') {
+          const node = openNodes.pop();
+          const parent = openNodes[openNodes.length - 1];
+          if (parent && parent.opener !== '[') {
+            // Keys are followed by a `:`; anything else in a mapping is a
+            // value for the most recent key.
+            const afterNode = findNextNonWhitespace(state.input, state.position);
+            if (state.input[afterNode] === ':') {
+              parent.key = state.kind === 'scalar'
+                ? {name: String(state.result), start: node.start}
+                : null;
+
+              const keyLength = state.position - node.start;
+              checkCompat(state, node.start, target => keyLength > target.maxKeyLength, parsers => {
+                return `This key is ${keyLength} characters long, but ${parsers} can't parse keys longer than 1024 characters unless they start with "? ".`;
+              });
+            }
+            else if (parent.key) {
+              const entry = Object.assign({end: state.position}, parent.key);
+              parent.key = null;
+              if (entry.name === '<<') {
+                checkMergeValue(state, node);
+                checkCompat(state, entry.start, target => !target.mergeKeys, parsers => {
+                  return `"<<" merges mappings in js-yaml, but ${parsers} read it as an ordinary key.`;
+                });
+              }
+              const occurrences = parent.keys.get(entry.name);
+              if (occurrences) {
+                checkDuplicateKey(state, parent, occurrences, entry);
+              }
+              else {
+                parent.keys.set(entry.name, {first: entry, last: entry});
+              }
+            }
+          }
 
-                  if (tokensAfterString.test(state.input.slice(startPosition))) {
-                    endPosition = startPosition;
+          // Warn about plain scalars that some parsers read as booleans, e.g.
+          // the "Norway problem", where a list of country codes like
+          // `[se, no, dk]` winds up with `false` instead of "no" in it, or as
+          // numbers or dates that lose part of what the author wrote.
+          //
+          // Sequence items close twice (see `open` above), so keep track of
+          // the position to avoid checking the same value twice.
+          const escapedInvalidCharacters = state.kind === 'scalar' &&
+            pendingInvalidCharacters.length > 0 &&
+            escapeInvalidCharactersIn(state, node);
+
+          if (state.kind === 'scalar' && node.start > implicitTypePosition && !escapedInvalidCharacters) {
+            const source = state.input.slice(node.start, state.position).trim();
+            const multiline = source.includes('\n');
+            const plain = !notPlainScalar.test(source) && !multiline;
+            const sourceEnd = node.start + source.length;
+            const comment = plain && !flowCollection && state.input.slice(sourceEnd).match(commentLikeValue);
+            const smartQuote = !notPlainScalar.test(source) && source.length > 1 && smartQuotes[source[0]];
+            let warning = null;
+            // Most of these are fixed by quoting the value.
+            let replaceLength = source.length;
+            let replacement = `"${source}"`;
+            // Or by replacing individual characters, as `[offset, text]` pairs.
+            let characterReplacements = null;
+            if (comment) {
+              // Leave any real comment after it alone. (Quoting the rest also
+              // takes care of any implicit typing problems below.)
+              const realComment = comment[0].search(/[ \t]+#([ \t]|$)/);
+              if (realComment > -1) comment[0] = comment[0].slice(0, realComment);
+              const full = `${source}${comment[0]}`.trim();
+              replaceLength += comment[0].length;
+              replacement = `"${escapeDoubleQuoted(full)}"`;
+              warning = createIssue(
+                'comment-in-value',
+                `This value is cut short because " #" starts a comment, so it is read as "${source}". If "${comment[0].trim()}" is meant to be part of the value, quote it: ${replacement}`,
+                stateEditor.markOriginalPosition(sourceEnd + comment[0].indexOf('#'), state.filename),
+                'warning'
+              );
+            }
+            else if (smartQuote && source.endsWith(smartQuote.close) && !smartQuote.inside.test(source.slice(1, -1))) {
+              // Curly quotes inside the value are fine, so only replace the
+              // outer ones. Line breaks fold the same way in quoted strings
+              // as in plain ones, so values across several lines can be
+              // quoted, too. Replace one character at a time so that other
+              // fixes on those lines (like indentation) still line up.
+              const content = source.slice(1, -1);
+              const escapable = smartQuote.quote === '"' ? /[\\"]/g : /'/g;
+              characterReplacements = [[0, smartQuote.quote]];
+              for (const match of content.matchAll(escapable)) {
+                const escaped = smartQuote.quote === '"' ? `\\${match[0]}` : "''";
+                characterReplacements.push([match.index + 1, escaped]);
+              }
+              characterReplacements.push([source.length - 1, smartQuote.quote]);
+              replacement = smartQuote.quote === '"'
+                ? `"${escapeDoubleQuoted(content)}"`
+                : `'${content.replace(/'/g, "''")}'`;
+              const suggestion = multiline ? 'straight quotes instead' : `straight quotes: ${replacement}`;
+              warning = createIssue(
+                'smart-quotes',
+                `This value is wrapped in curly quotes (${source[0]}${smartQuote.close}), which are part of the value instead of quoting it. If it is meant to be a quoted string, use ${suggestion}`,
+                stateEditor.markOriginalPosition(node.start, state.filename),
+                'warning'
+              );
+            }
+            else if (plain) {
+              // Parsers disagree about which YAML 1.1 booleans they support,
+              // so with `compat`, check each one's own list.
+              const readsAsBoolean = target => target.booleans && target.booleans.test(source);
+              let booleanReaders = null;
+              if (compatTargets.length) {
+                booleanReaders = describeDisagreement(compatTargets, readsAsBoolean);
+              }
+              else if (isImplicitBoolean(source, yamlVersion)) {
+                booleanReaders = `YAML 1.1 and parsers like ${describeDisagreement(knownParsers, readsAsBoolean)}`;
+              }
+              if (booleanReaders) {
+                warning = createIssue(
+                  'implicit-boolean',
+                  `"${source}" is a boolean in ${booleanReaders}, but a string here. If it is meant to be a string, quote it: "${source}"`,
+                  stateEditor.markOriginalPosition(node.start, state.filename),
+                  'warning'
+                );
+              }
+              else {
+                for (const {version, readers} of implicitTypeVersions) {
+                  const type = describeLossyType(source, version);
+                  if (type) {
+                    warning = createIssue(
+                      'implicit-type',
+                      `"${source}" is read as ${type} in ${readers || `YAML ${version}`}, which loses part of what was written. If it is meant to be a string, quote it: "${source}"`,
+                      stateEditor.markOriginalPosition(node.start, state.filename),
+                      'warning'
+                    );
+                    break;
                   }
                 }
-                else {
-                  endPosition = position;
-                }
+              }
+            }
+
+            if (warning) {
+              implicitTypePosition = node.start;
+              issues.push(warning);
 
-                // If we guessed at an ending, then we're done. Wrap everything
-                // up in quotes.
-                if (endPosition > -1) {
-                  const newScalar = state.input.slice(nextTokenStart, endPosition);
-                  if (fix) {
-                    const fixedPosition = fixedPositionFromState(nextTokenStart);
-                    fixedEditor.splice(fixedPosition, newScalar.length, `"${newScalar}"`);
-                    error.level = 'fixed';
+              // The parser has already read this value, so only the fixed
+              // source needs updating.
+              if (shouldFix(warning)) {
+                if (characterReplacements) {
+                  for (const [offset, text] of characterReplacements) {
+                    spliceFixed(warning, fixedPositionFromState(node.start + offset), 1, text);
                   }
-                  spliceState(state, nextTokenStart, newScalar.length, `"${newScalar}"`);
-                  break;
                 }
-
-                continue;
+                else {
+                  const fixedPosition = fixedPositionFromState(node.start);
+                  spliceFixed(warning, fixedPosition, replaceLength, replacement);
+                }
+                warning.level = 'fixed';
               }
             }
           }
 
-          lastTokenPosition = nextTokenStart;
-        }
-
-        if (operation === 'close') {
           // js-yaml accepts `&something;` as an anchor, while pyyaml does not
           // allow it on account of the `;` at the end. Reading the spec, it
           // seems like js-yaml is right, but most occurrences of this in our
           // codebase are HTML entities that should have been quoted (so they
           // are part of the value instead of an anchor name). Warn for this.
           if (operation === 'close' && state.anchor && entityAnchor.test(state.anchor)) {
-            const warning = new yaml.YAMLException(
-              'This value has an anchor that appears to be an HTML entity. If you want it to be part of the value, make sure the value is quoted.',
-              stateEditor.markOriginalPosition(previousState.position, previousState.filename)
+            const parsers = describeDisagreement(compatTargets, target => target.anchorNames);
+            const warning = createIssue(
+              'entity-anchor',
+              `This value has an anchor that appears to be an HTML entity${parsers ? ` (which ${parsers} can't parse)` : ''}. If you want it to be part of the value, make sure the value is quoted.`,
+              stateEditor.markOriginalPosition(previousState.position, previousState.filename),
+              'warning'
             );
-            warning.level = 'warning';
             return issues.push(warning);
           }
 
@@ -554,29 +1302,12 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
           // after the fact so we can rely on the parser to correctly parse the
           // complete scalar for us. "Deficient indentation" warnings are
           // captured in the warning handler and we address them here.
-          // TODO: consider addressing non-scalars, like flow sequences.
-          if (fix && state.kind === 'scalar' && tokenIndentWarnings.length) {
-            // To be technically correct, we need to indent subsequent lines by
-            // at least one character, but to look nice (since most people use
-            // multiples of two) use two spaces.
-            // TODO: autodetect indentation size that is used in the file?
-            const indent = tokenIndent + 2;
-            for (const warning of tokenIndentWarnings) {
-              const position = fixedEditor.currentPosition(warning.mark.position);
-              const lineStart = fixedEditor.value.lastIndexOf('\n', position) + 1;
-              // The first line should define the expected indentation, so
-              // there should be nothing to fix.
-              if (lineStart > 0) {
-                // TODO: should we do more to validate expectations here --
-                // e.g. that there is actually text at `position` and the
-                // indentation we're adding is still needed?
-                const existingIndent = position - lineStart;
-                // TODO: this only supports space indentation; but we should
-                // detect or have a setting for tabs.
-                fixedEditor.splice(position, 0, ' '.repeat(indent - existingIndent));
-                warning.level = 'fixed';
-              }
-            }
+          if (state.kind === 'scalar' && tokenIndentWarnings.length) {
+            fixUnderIndentedLines(tokenIndentWarnings, tokenIndent);
+          }
+
+          if (flowCollection && node === flowCollection.node) {
+            flowCollection = null;
           }
         }
 
@@ -623,7 +1354,9 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
     // catch syntax errors, which have a mark pointing to their location.
     if (!error.mark) throw error;
 
+    parseErrorPosition = stateEditor.originalPosition(error.mark.position);
     let issue = error;
+    issue.rule = 'syntax-error';
     issue.level = 'error';
 
     // Provide a nicer, more specific error for mixed spaces and tabs
@@ -631,6 +1364,7 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
       const lineStart = issue.mark.position - issue.mark.column;
       const indent = yamlText.slice(lineStart).match(/^\s*/);
       if (indent && indent[0].includes(' ') && indent[0].includes('\t')) {
+        issue.rule = 'mixed-indentation';
         issue.reason = 'line is indented with mixed spaces and tabs';
       }
 
@@ -638,20 +1372,208 @@ function check (yamlText, {filename, debug = false, fix = false, removeInvalidCh
       // level of indentation?
     }
 
-    // This is handled earlier on during the parsing phase, so swallow it here.
-    if (yamlText[issue.mark.position] === '@') {
+    // If a more specific rule already explained the problem here but couldn't
+    // repair it (e.g. an unquoted colon in a value that has quotes), that's
+    // reported instead. (Unless the rule is off or suppressed, in which case
+    // this is the only report. Since the rule wasn't allowed to repair the
+    // problem, parsing stopped here, so only a directive that specifically
+    // names `syntax-error` can suppress it.)
+    const explanation = issues.find(other => {
+      return explainsSyntaxErrors.has(other.rule) && other.mark.position === parseErrorPosition;
+    });
+    if (explanation && isEnabled(explanation)) {
       issue = null;
     }
+    else if (explanation) {
+      unrepairedSyntaxError = issue;
+    }
 
     if (issue) issues.push(issue);
   }
 
+  // Anchors can only be used after they're defined, so if parsing stopped
+  // early, we can't tell whether they would have been used.
+  if (parseErrorPosition === null) {
+    for (const anchor of anchors) {
+      // HTML entities that look like anchors get their own warning.
+      if (anchor.used || entityAnchor.test(anchor.name)) continue;
+
+      issues.push(createIssue(
+        'unused-anchor',
+        `anchor "&${anchor.name}" is never used (no aliases refer to it)`,
+        anchor.mark,
+        'warning'
+      ));
+    }
+  }
+
+  if (jsonSchema && parseErrorPosition === null) {
+    for (const violation of findSchemaViolations(stateEditor.value, jsonSchema)) {
+      issues.push(createIssue(
+        'schema-violation',
+        violation.reason,
+        stateEditor.markOriginalPosition(violation.position, filename)
+      ));
+    }
+  }
+
+  // We still need to find issues for rules that are turned off or suppressed
+  // (we may need to repair them in order to keep parsing), but we don't
+  // report them.
+  const reportedIssues = issues.filter(issue => {
+    return ruleLevels[issue.rule] !== 'off' && !directives.suppresses(issue, issue === unrepairedSyntaxError);
+  });
+
+  if (reportUnusedDirectives && ruleLevels['unused-directive'] !== 'off') {
+    for (const directive of directives.unused()) {
+      const rulesText = directive.rules ? ` for ${directive.rules.join(', ')}` : '';
+      reportedIssues.push(createIssue(
+        'unused-directive',
+        `unused "yaml-doctor-${directive.type}" directive (no issues${rulesText} were found to suppress)`,
+        stateEditor.markOriginalPosition(stateEditor.currentPosition(directive.position), filename),
+        'warning'
+      ));
+    }
+  }
+
+  // Apply configured levels.
+  for (const issue of reportedIssues) {
+    const level = ruleLevels[issue.rule];
+    if (level && issue.level !== 'fixed') issue.level = level;
+  }
+
+  // Make sure the fixes didn't break anything. If they did, try again without
+  // the fixes that break things on their own, and report what went wrong. If
+  // that doesn't help (e.g. because the problem is in how fixes interact),
+  // report the original issues (unfixed) instead.
+  if (fix && fixedEditor.value !== yamlText && ruleLevels['fix-verification'] !== 'off') {
+    // The parser never sees invalid characters or tab indentation (see above),
+    // so compare what it would read from the original and fixed sources.
+    // (Otherwise, the original would never parse if it had any invalid
+    // characters, and there'd be nothing to compare.)
+    const repairedOriginal = repairForParsing(yamlText, tabWidth);
+    const toRepaired = position => repairedOriginal.currentPosition(position);
+    const verifyFixedText = (fixedText, originalPosition, edits) => {
+      const repairedFixed = repairForParsing(fixedText, tabWidth);
+      const problem = verifyFix(repairedOriginal.value, repairedFixed.value, {
+        edits: edits.map(edit => ({start: toRepaired(edit.start), end: toRepaired(edit.end)})),
+        originalPosition: position => toRepaired(originalPosition(repairedFixed.originalPosition(position))),
+        errorPosition: parseErrorPosition == null ? null : toRepaired(parseErrorPosition)
+      });
+      if (problem) problem.position = repairedOriginal.originalPosition(problem.position);
+      return problem;
+    };
+
+    const edits = [].concat(...issues.map(issue => issue.edits || []));
+    const problem = verifyFixedText(fixedEditor.value, position => fixedEditor.originalPosition(position), edits);
+    if (problem) {
+      const verificationIssue = (reason, position) => createIssue(
+        'fix-verification',
+        reason,
+        stateEditor.markOriginalPosition(stateEditor.currentPosition(position), filename),
+        ruleLevels['fix-verification'] || 'error'
+      );
+
+      const skipped = [];
+      if (skippedFixes.size === 0) {
+        for (const issue of issues) {
+          if (!issue.edits || !issue.edits.length) continue;
+
+          const alone = applyEdits(yamlText, issue.edits);
+          const issueProblem = verifyFixedText(alone.value, position => alone.originalPosition(position), issue.edits);
+          if (issueProblem) skipped.push({issue, problem: issueProblem});
+        }
+      }
+
+      if (skipped.length) {
+        const retry = checkWithSkippedFixes(
+          yamlText,
+          options,
+          new Set(skipped.map(({issue}) => fixKey(issue)))
+        );
+        if (!retry.issues.some(issue => issue.rule === 'fix-verification')) {
+          for (const {issue, problem: issueProblem} of skipped) {
+            retry.issues.push(verificationIssue(
+              `Fixes were not applied to the ${issue.rule} issue here because ${issueProblem.reason}`,
+              issue.mark.position
+            ));
+          }
+          return retry;
+        }
+      }
+
+      const unfixed = check(yamlText, {filename, debug, rules, reportUnusedDirectives, yamlVersion, compat, jsonSchema});
+      unfixed.issues.push(verificationIssue(`Fixes were not applied because ${problem.reason}`, problem.position));
+      return {issues: unfixed.issues, fixed: yamlText};
+    }
+  }
+
   return {
-    issues,
+    issues: reportedIssues,
     fixed: fix ? fixedEditor.value : null
   };
 }
 
+// Identify an issue across separate runs of `check()` on the same source.
+function fixKey (issue) {
+  return `${issue.rule}@${issue.mark.position}`;
+}
+
+// Apply edits (with positions in the original text, as on fixed issues) to
+// some text. Returns the StringEditor that made them.
+function applyEdits (text, edits) {
+  const editor = new StringEditor(text);
+  // Going backwards keeps the positions of edits that haven't been made yet
+  // the same as in the original. (Insertions sort before replacements that
+  // start at the same place, so they end up in front of them.)
+  const ordered = edits.slice().sort((a, b) => b.start - a.start || b.end - a.end);
+  for (const edit of ordered) {
+    editor.splice(edit.start, edit.end - edit.start, edit.text);
+  }
+  return editor;
+}
+
+// Make the same repairs `check()` makes to its parser's input before parsing
+// (removing invalid characters and expanding tab indentation, if there's a
+// tab width that works), whether or not they're being fixed. Returns the
+// StringEditor that made them.
+function repairForParsing (text, tabWidth) {
+  const editor = new StringEditor(text);
+  const pattern = new RegExp(nonPrintablePattern.source, nonPrintablePattern.flags);
+  let match;
+  while ((match = pattern.exec(editor.value))) {
+    editor.splice(match.index, 1);
+    pattern.lastIndex = match.index;
+  }
+
+  if (tabWidth) {
+    let offset = 0;
+    for (const {start, indent} of findTabIndentedLines(editor.value)) {
+      const spaces = expandTabs(indent, tabWidth);
+      editor.splice(start + offset, indent.length, spaces);
+      offset += spaces.length - indent.length;
+    }
+  }
+  return editor;
+}
+
+/**
+ * Create an issue to report. Issues are `YAMLException` objects with two extra
+ * properties: `rule`, the ID of the rule that found the issue (see
+ * `lib/rules.js`), and `level`, which is one of `error`, `warning`, or `fixed`.
+ * @param {string} rule ID of the rule that found the issue.
+ * @param {string} reason Human-readable description of the issue.
+ * @param {YamlMark} mark Location of the issue.
+ * @param {string} [level='error']
+ * @returns {YAMLException}
+ */
+function createIssue (rule, reason, mark, level = 'error') {
+  const issue = new yaml.YAMLException(reason, mark);
+  issue.rule = rule;
+  issue.level = level;
+  return issue;
+}
+
 /**
  * Finds the likely end of a quoted scalar in a YAML string. The return value
  * is an array where the first value is the location of the scalar's end and
@@ -770,7 +1692,14 @@ function findProbableEndOfQuotedScalar (string, quoteType, start = 0, exact = tr
           // explicit keys. It's a best-effort guess.
           const nextLineFormat = nextLine.match(lineAfterQuotedScalar);
           if (nextLineFormat && nextLineFormat[1].length <= indent) {
-            return [nextBreak, false];
+            // A line that looks like a comment could still be part of the
+            // string, so only end here if the string doesn't have a closing
+            // quote before the next line that looks like it ends the string.
+            const commentLike = nextLineFormat[2] === '#';
+            if (!commentLike || !findProbableEndOfQuotedScalar(string, quoteType, nextBreak + 1, false, indent)[1]) {
+              // The `\r` of a CRLF line break isn't part of the line.
+              return [string[nextBreak - 1] === '\r' ? nextBreak - 1 : nextBreak, false];
+            }
           }
         }
         if (nextQuote > nextBreak) {
@@ -805,6 +1734,31 @@ function findProbableEndOfQuotedScalar (string, quoteType, start = 0, exact = tr
   return [-1, true];
 }
 
+/**
+ * Get an escape sequence for a character in a double-quoted scalar, e.g.
+ * `\x0B` for a vertical tab.
+ * @param {string} character
+ * @returns {string}
+ */
+function escapeCharacter (character) {
+  const code = character.codePointAt(0);
+  const hex = code.toString(16).toUpperCase();
+  return code <= 0xFF ? `\\x${hex.padStart(2, '0')}` : `\\u${hex.padStart(4, '0')}`;
+}
+
+function isSurrogate (character) {
+  const code = character.charCodeAt(0);
+  return code >= 0xD800 && code <= 0xDFFF;
+}
+
+function unescapeSingleQuoted (text) {
+  return text.replace(/''/g, "'");
+}
+
+function escapeDoubleQuoted (text) {
+  return text.replace(/[\\"]/g, '\\$&');
+}
+
 function isIndented (string, n, start = 0) {
   let length = string.length - start;
   if (n > length) n = length;
@@ -817,6 +1771,49 @@ function isIndented (string, n, start = 0) {
   return true;
 }
 
+function findNextNonWhitespace (string, start = 0) {
+  const end = string.length;
+  for (let i = start; i < end; i++) {
+    const code = string.charCodeAt(i);
+    if (code !== 32 && code !== 9 && code !== 10 && code !== 13) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the complete lines a block mapping entry is on, so it can be removed.
+ * The key must be the first thing on its line and nothing but a comment can
+ * follow the value. Comment and blank lines after the entry are not included.
+ * @param {string} string
+ * @param {int} keyStart Position where the entry's key starts.
+ * @param {int} valueEnd Position where the entry's value ends.
+ * @returns {Array<int>|null} The start and end of the lines, or `null` if the
+ *   entry shares its lines with other content.
+ */
+function findEntryLines (string, keyStart, valueEnd) {
+  const start = string.lastIndexOf('\n', keyStart - 1) + 1;
+  if (!/^[ \t]*$/.test(string.slice(start, keyStart))) return null;
+
+  let end = valueEnd;
+  if (string[end - 1] !== '\n') {
+    const rest = string.slice(end).match(/^[ \t]*(#[^\n]*)?(\r?\n|\u0000|$)/);
+    if (!rest) return null;
+    end += rest[0].length;
+    if (string[end - 1] === '\u0000') end--;
+  }
+
+  // The parser may have moved past comment and blank lines after the value.
+  let lineStart = string.lastIndexOf('\n', end - 2) + 1;
+  while (lineStart > keyStart && /^[ \t]*(#.*)?\r?\n?$/.test(string.slice(lineStart, end))) {
+    end = lineStart;
+    lineStart = string.lastIndexOf('\n', end - 2) + 1;
+  }
+
+  return [start, end];
+}
+
 function findNextNonSpace (string, start = 0) {
   const end = string.length;
   for (let i = start; i < end; i++) {
@@ -887,13 +1884,10 @@ const CODE_U = 'U'.charCodeAt(0);
  * @returns {boolean}
  */
 function isHexEscape (string, start) {
-  const typeCode = string.charCodeAt(start);
-  const end =
-    typeCode === CODE_x ? start + 2 :
-    typeCode === CODE_u ? start + 4 :
-    typeCode === CODE_U ? start + 8 : 0;
+  const digitCount = hexEscapeDigitCount(string.charCodeAt(start));
+  if (digitCount === 0) return false;
 
-  if (end === 0) return false;
+  const end = start + digitCount;
 
   for (start++; start <= end; start++) {
     if (!isHexDigit(string.charCodeAt(start))) return false;
@@ -901,6 +1895,61 @@ function isHexEscape (string, start) {
   return true;
 }
 
+/**
+ * Explain what's wrong with an invalid escape sequence in a double-quoted
+ * scalar and how to repair it. Hex escapes that are just missing leading
+ * zeros (like `\u22`) get padded out; anything else is repaired by removing
+ * the slash.
+ * @param {string} string The string the escape sequence is in.
+ * @param {int} position Position of the slash.
+ * @returns {{reason: string, remove: int, insert: string}} A description of
+ *   the problem, and how many characters at `position` to remove and what to
+ *   insert in their place to repair it.
+ */
+function describeInvalidEscape (string, position) {
+  const type = string[position + 1];
+  const digitCount = hexEscapeDigitCount(type.charCodeAt(0));
+  if (digitCount) {
+    let found = 0;
+    while (found < digitCount && isHexDigit(string.charCodeAt(position + 2 + found))) {
+      found++;
+    }
+    const digits = string.slice(position + 2, position + 2 + found);
+    const reason = `Invalid escape sequence: "\\${type}${digits}" (a \\${type} escape needs ${digitCount} hex digits, found ${found || 'none'})`;
+    if (found) {
+      return {
+        reason,
+        remove: 2 + found,
+        insert: `\\${type}${digits.padStart(digitCount, '0')}`
+      };
+    }
+    return {reason, remove: 1, insert: ''};
+  }
+  else if (type === "'") {
+    return {
+      reason: 'Invalid escape sequence: "\\\'" (single quotes don\'t need to be escaped in double-quoted strings)',
+      remove: 1,
+      insert: ''
+    };
+  }
+
+  return {reason: `Invalid escape sequence: "\\${type}"`, remove: 1, insert: ''};
+}
+
+/**
+ * Get the number of hex digits a hex escape sequence requires, based on the
+ * character after the slash (e.g. 4 for `\u`).
+ * @param {int} typeCode Character code of the character after the slash.
+ * @returns {int} The number of digits, or 0 if not a hex escape.
+ */
+function hexEscapeDigitCount (typeCode) {
+  return (
+    typeCode === CODE_x ? 2 :
+    typeCode === CODE_u ? 4 :
+    typeCode === CODE_U ? 8 : 0
+  );
+}
+
 /**
  * Determine whether a given character code represents a hexadecimal digit.
  * @param {int} charCode
@@ -923,8 +1972,16 @@ function isHexDigit (charCode) {
  * @param {string|Buffer} [content] The content of the file to check. If not
  *   provided, this function will read the file at `filePath`.
  * @param {object} [options] Options to pass to `check`.
- * @returns {Promise<{issues: Array<YAMLException>, fixed: string}>} A promise
- *   for the return value of `check()`.
+ * @param {boolean} [options.write=true] If fixing, write the fixed content to
+ *   the file at `filePath`. If `false`, the fixed content is only returned as
+ *   `fixedContent`. (Older versions printed it instead.)
+ * @param {object|string} [options.jsonSchema] A JSON Schema to validate the
+ *   file against, or the path to a JSON or YAML file with one.
+ * @returns {Promise<{issues: Array<YAMLException>, fixed: string, content: string, fixedContent: string}>}
+ *   A promise for the return value of `check()`, plus a `content` property
+ *   with the full content of the file. If fixing, it also has a
+ *   `fixedContent` property with the full, fixed content of the file
+ *   (including any Markdown, not just the YAML front-matter).
  */
 async function checkFile (filePath, content = null, options = {}) {
   if (content == null) {
@@ -941,9 +1998,17 @@ async function checkFile (filePath, content = null, options = {}) {
     [yamlText, markdown] = parsePage.getPageSegments(content);
   }
 
+  let jsonSchema = options.jsonSchema;
+  if (typeof jsonSchema === 'string') {
+    jsonSchema = await loadJsonSchema(jsonSchema);
+  }
+
   const result = check(yamlText, Object.assign({}, options, {
-    filename: filePath
+    filename: filePath,
+    jsonSchema
   }));
+  result.content = content.toString('utf8');
+  result.fixedContent = result.fixed == null ? null : result.content;
 
   // If checking fixed any problems, save the results.
   if (result.fixed && yamlText !== result.fixed) {
@@ -951,11 +2016,12 @@ async function checkFile (filePath, content = null, options = {}) {
     if (markdown !== null) {
       fixedContent = parsePage.joinPageSegments(result.fixed, markdown);
     }
+    result.fixedContent = fixedContent;
 
-    if (options.write === false || options.debug) {
+    if (options.debug) {
       console.debug(`New content for ${filePath}:\n${fixedContent}`);
     }
-    else {
+    else if (options.write !== false) {
       // FIXME: once we update to Node.js 10, use the new fs promises API
       await fsPromises.writeFile(filePath, fixedContent, 'utf8');
     }
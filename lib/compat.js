@@ -0,0 +1,110 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+
+'use strict';
+
+/**
+ * Other YAML parsers that files might be read with, and the ways they differ
+ * from js-yaml (which YAML Doctor uses):
+ * - `yamlVersion`: Which version's rules they use to resolve unquoted values
+ *   to numbers and dates (see `implicit-types.js`).
+ * - `booleans`: Matches unquoted values they read as booleans, but js-yaml
+ *   reads as strings. Each parser picked a different part of YAML 1.1's list,
+ *   so this isn't covered by `yamlVersion`.
+ * - `anchorNames`: Only letters, numbers, `-`, and `_` are allowed in anchor
+ *   and alias names. (js-yaml allows anything but whitespace and `,[]{}`.)
+ * - `tabSeparators`: Where tabs can't be used to separate tokens on a line:
+ *   `all` for anywhere outside flow collections, or `indicators` for after
+ *   a `-` or `?` indicator. (js-yaml allows them anywhere.)
+ * - `maxKeyLength`: The longest an implicit key (one without `? `) can be.
+ * - `mergeKeys`: Whether `<<` merges mappings or is an ordinary key.
+ * - `aliases`: Whether aliases are allowed at all.
+ * The ones based on libyaml (Psych and go-yaml) share its scanner rules.
+ * @type {Object<string, object>}
+ */
+const compatTargets = {
+  pyyaml: {
+    name: 'PyYAML',
+    yamlVersion: '1.1',
+    booleans: /^(yes|Yes|YES|no|No|NO|on|On|ON|off|Off|OFF)$/,
+    anchorNames: true,
+    tabSeparators: 'all',
+    maxKeyLength: 1024,
+    mergeKeys: true,
+    aliases: true
+  },
+  psych: {
+    name: 'Psych (Ruby)',
+    yamlVersion: '1.1',
+    booleans: /^(yes|no|on|off)$/i,
+    anchorNames: true,
+    tabSeparators: 'indicators',
+    maxKeyLength: 1024,
+    mergeKeys: true,
+    // Psych 4's `YAML.load` (which is `safe_load`) fails on aliases unless
+    // it's called with `aliases: true`.
+    aliases: false
+  },
+  'go-yaml': {
+    // These are for go-yaml v2. (v3 only reads these booleans when decoding
+    // into a `bool`, and follows YAML 1.2 for octal numbers.)
+    name: 'go-yaml',
+    yamlVersion: '1.1',
+    booleans: /^(y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/,
+    anchorNames: true,
+    tabSeparators: 'indicators',
+    maxKeyLength: 1024,
+    mergeKeys: true,
+    aliases: true
+  },
+  'yaml-1.2-core': {
+    name: 'YAML 1.2 (core schema) parsers',
+    yamlVersion: '1.2',
+    booleans: null,
+    anchorNames: false,
+    tabSeparators: null,
+    maxKeyLength: Infinity,
+    mergeKeys: false,
+    aliases: true
+  }
+};
+
+/**
+ * Look up the targets for the `compat` option.
+ * @param {string|Array<string>|null} names
+ * @returns {Array<object>}
+ */
+function getCompatTargets (names) {
+  if (names == null) return [];
+
+  return [].concat(names).map(name => {
+    if (!Object.prototype.hasOwnProperty.call(compatTargets, name)) {
+      throw new Error(`Unknown compat target "${name}" (must be one of ${Object.keys(compatTargets).join(', ')})`);
+    }
+    return compatTargets[name];
+  });
+}
+
+/**
+ * Describe which of some targets disagree with js-yaml about something, like
+ * `PyYAML and Psych (Ruby)`.
+ * @param {Array<object>} targets
+ * @param {function(object): boolean} disagrees
+ * @returns {string|null} The names of the targets that disagree, or `null` if
+ *   none of them do.
+ */
+function describeDisagreement (targets, disagrees) {
+  const names = targets.filter(disagrees).map(target => target.name);
+  if (!names.length) return null;
+  if (names.length === 1) return names[0];
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+module.exports = {
+  compatTargetNames: Object.keys(compatTargets),
+  describeDisagreement,
+  getCompatTargets
+};
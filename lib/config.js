@@ -0,0 +1,267 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+
+'use strict';
+
+const {compatTargetNames} = require('./compat');
+const fsPromises = require('fs/promises');
+const {yamlVersions} = require('./implicit-types');
+const {minimatch} = require('minimatch');
+const path = require('path');
+const rules = require('./rules');
+const yaml = require('js-yaml');
+
+// Names of configuration files, in order of preference. Any of them can be
+// written in either JSON or YAML.
+const configFileNames = [
+  '.yamldoctorrc',
+  '.yamldoctorrc.json',
+  '.yamldoctorrc.yaml',
+  '.yamldoctorrc.yml'
+];
+
+const ruleLevels = new Set(['error', 'warning', 'off']);
+
+// Settings that are passed through to `check()` as options, and the values
+// each one can be set to. These can be set at the top level of a
+// configuration file or in an override.
+const checkOptionValues = {
+  fix: [true, false],
+  removeInvalidCharacters: [true, false],
+  escapeInvalidCharacters: [true, false],
+  reportUnusedDirectives: [true, false],
+  keepDuplicateKey: ['first', 'last'],
+  yamlVersion: yamlVersions,
+  compat: compatTargetNames,
+  indentation: ['1', '2', '3', '4', '5', '6', '7', '8']
+};
+const checkOptionNames = Object.keys(checkOptionValues);
+// Options that can also be set to a list of the values above.
+const listOptionNames = new Set(['compat']);
+const topLevelNames = new Set([...checkOptionNames, 'rules', 'jsonSchema', 'include', 'exclude', 'overrides']);
+const overrideNames = new Set([...checkOptionNames, 'rules', 'jsonSchema', 'files']);
+
+/**
+ * Config holds the settings from a YAML Doctor configuration file
+ * (`.yamldoctorrc`) and determines the options to check a given file with.
+ *
+ * A configuration file looks like:
+ *
+ *     rules:
+ *       entity-anchor: off
+ *       under-indented: error
+ *     include: ['data', 'content/*.md']
+ *     exclude: ['vendor/**']
+ *     fix: true
+ *     keepDuplicateKey: last
+ *     overrides:
+ *       - files: ['translations/**']
+ *         rules:
+ *           unescaped-quote: warning
+ *       - files: ['.github/workflows/*.yml']
+ *         jsonSchema: schemas/github-workflow.json
+ *
+ * Paths and patterns in the file are relative to the directory it is in.
+ */
+class Config {
+  /**
+   * @param {object} [settings] Parsed contents of a configuration file.
+   * @param {string} [directory] Directory that paths in the settings are
+   *   relative to. Defaults to the current working directory.
+   * @param {string} [filePath] Path the settings were loaded from. Used to
+   *   make nicer error messages.
+   */
+  constructor (settings = null, directory = null, filePath = null) {
+    this.filePath = filePath;
+    this.directory = directory || process.cwd();
+
+    settings = settings || {};
+    this._validate(settings, topLevelNames, 'the configuration');
+    this.settings = settings;
+    this.include = asList(settings.include);
+    this.exclude = asList(settings.exclude);
+    this.overrides = asList(settings.overrides).map((override, index) => {
+      const name = `override ${index + 1}`;
+      this._validate(override, overrideNames, name);
+      const files = asList(override.files);
+      if (!files.length) this._error(`${name} must have a list of \`files\``);
+      return Object.assign({}, override, {files});
+    });
+  }
+
+  /**
+   * Find the nearest configuration file, starting in a given directory and
+   * searching upward through its parents.
+   * @param {string} [directory] Directory to start searching from. Defaults to
+   *   the current working directory.
+   * @returns {Promise<string|null>} Path to the file, or `null` if there is no
+   *   configuration file.
+   */
+  static async find (directory = null) {
+    directory = path.resolve(directory || process.cwd());
+
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      for (const name of configFileNames) {
+        const filePath = path.join(directory, name);
+        try {
+          const stat = await fsPromises.stat(filePath);
+          if (stat.isFile()) return filePath;
+        }
+        catch (error) {
+          if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+        }
+      }
+
+      const parent = path.dirname(directory);
+      if (parent === directory) return null;
+      directory = parent;
+    }
+  }
+
+  /**
+   * Load a configuration file.
+   * @param {string} filePath
+   * @returns {Promise<Config>}
+   */
+  static async load (filePath) {
+    filePath = path.resolve(filePath);
+    const text = await fsPromises.readFile(filePath, 'utf8');
+    let settings;
+    try {
+      settings = yaml.safeLoad(text, {filename: filePath, json: true});
+    }
+    catch (error) {
+      throw new Error(`Could not parse configuration file ${filePath}: ${error.message}`);
+    }
+
+    return new Config(settings, path.dirname(filePath), filePath);
+  }
+
+  /**
+   * Load the nearest configuration file to a given directory (see
+   * `Config.find()`). If there is no configuration file, this returns an
+   * empty configuration.
+   * @param {string} [directory] Defaults to the current working directory.
+   * @returns {Promise<Config>}
+   */
+  static async loadNearest (directory = null) {
+    const filePath = await Config.find(directory);
+    if (filePath) return await Config.load(filePath);
+    return new Config(null, directory);
+  }
+
+  /**
+   * Patterns for files to check if no paths were explicitly requested. These
+   * are absolute, so they can be used from any working directory.
+   * @type {Array<string>}
+   */
+  get includePatterns () {
+    return this.include.map(pattern => path.resolve(this.directory, pattern));
+  }
+
+  /**
+   * Determine whether a file should be skipped.
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  isExcluded (filePath) {
+    return this._matches(filePath, this.exclude);
+  }
+
+  /**
+   * Get the options to pass to `check()` for a given file. Overrides that
+   * match the file are applied, in order, on top of the top-level settings.
+   * @param {string} filePath
+   * @returns {object}
+   */
+  optionsForFile (filePath) {
+    const options = {rules: Object.assign({}, this.settings.rules)};
+    const sources = [
+      this.settings,
+      ...this.overrides.filter(override => this._matches(filePath, override.files))
+    ];
+
+    for (const source of sources) {
+      for (const name of checkOptionNames) {
+        if (source[name] !== undefined) options[name] = source[name];
+      }
+      Object.assign(options.rules, source.rules);
+      if (source.jsonSchema !== undefined) {
+        options.jsonSchema = source.jsonSchema && path.resolve(this.directory, source.jsonSchema);
+      }
+    }
+
+    return options;
+  }
+
+  // Determine whether a path or any of the directories it is in matches any
+  // of the given patterns, so that patterns like `vendor` match everything in
+  // the `vendor` directory.
+  _matches (filePath, patterns) {
+    if (!patterns.length) return false;
+
+    const segments = path.relative(this.directory, path.resolve(filePath))
+      .split(path.sep);
+    for (let i = segments.length; i > 0; i--) {
+      const relativePath = segments.slice(0, i).join('/');
+      const matched = patterns.some(pattern => minimatch(relativePath, pattern, {
+        dot: true,
+        matchBase: true
+      }));
+      if (matched) return true;
+    }
+    return false;
+  }
+
+  _validate (settings, allowedNames, name) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      this._error(`${name} must be an object`);
+    }
+
+    for (const key of Object.keys(settings)) {
+      if (!allowedNames.has(key)) this._error(`unknown setting \`${key}\` in ${name}`);
+    }
+
+    for (const key of checkOptionNames) {
+      const values = checkOptionValues[key];
+      // Versions like `1.2` are numbers if they aren't quoted in YAML.
+      const value = typeof settings[key] === 'number' ? String(settings[key]) : settings[key];
+      const list = listOptionNames.has(key) && Array.isArray(value) ? value : [value];
+      if (value !== undefined && !list.every(item => values.includes(item))) {
+        this._error(`\`${key}\` must be ${values.join(' or ')} in ${name}`);
+      }
+    }
+
+    if (settings.jsonSchema != null && typeof settings.jsonSchema !== 'string') {
+      this._error(`\`jsonSchema\` must be the path to a JSON Schema file in ${name}`);
+    }
+
+    if (settings.rules != null && (typeof settings.rules !== 'object' || Array.isArray(settings.rules))) {
+      this._error(`\`rules\` must be a mapping of rule IDs to levels in ${name}`);
+    }
+    for (const [rule, level] of Object.entries(settings.rules || {})) {
+      if (!Object.prototype.hasOwnProperty.call(rules, rule)) {
+        this._error(`unknown rule \`${rule}\` in ${name}`);
+      }
+      if (!ruleLevels.has(level)) {
+        this._error(`rule \`${rule}\` must be set to one of ${[...ruleLevels].join(', ')} in ${name}`);
+      }
+    }
+  }
+
+  _error (message) {
+    const source = this.filePath ? ` ${this.filePath}` : '';
+    throw new Error(`Invalid configuration${source}: ${message}`);
+  }
+}
+
+function asList (value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = Config;
@@ -0,0 +1,135 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+
+'use strict';
+
+// Matches comments with directives like:
+//
+//     # yaml-doctor-disable-next-line entity-anchor, unquoted-template
+//     # yaml-doctor-disable
+//     # yaml-doctor-enable entity-anchor
+//
+// Anything after ` -- ` is a description and is ignored. The comment has to
+// start a line or follow whitespace, as it does in YAML (otherwise the `#` is
+// part of a value). This doesn't know whether the `#` is inside a quoted
+// string, but it's unlikely anyone writes these directives in a string.
+const directivePattern = /(^|[ \t])#[ \t]*yaml-doctor-(disable-next-line|disable|enable)(?=\s|$)(.*)$/gm;
+
+/**
+ * Directives tracks comments in YAML source that disable reporting (and
+ * fixing) of issues, and which of them actually suppressed any issues.
+ *
+ * `# yaml-doctor-disable-next-line [rule, ...]` suppresses issues on the next
+ * line. `# yaml-doctor-disable [rule, ...]` suppresses issues from that line
+ * until a matching `# yaml-doctor-enable [rule, ...]` comment (or the end of
+ * the file). If no rules are listed, the directive applies to all rules.
+ */
+class Directives {
+  /**
+   * @param {string} text YAML source code to find directives in.
+   */
+  constructor (text) {
+    /**
+     * All the directives in the source, in order.
+     * @type Array<{type: string, rules: Array<string>|null, line: number, column: number, position: number, used: boolean}>
+     */
+    this.directives = [];
+
+    let line = 0;
+    let lineSearchPosition = 0;
+    let match;
+    directivePattern.lastIndex = 0;
+    while ((match = directivePattern.exec(text))) {
+      const position = match.index + match[1].length;
+      // Count lines incrementally, since matches are in order.
+      let lineBreak = text.indexOf('\n', lineSearchPosition);
+      while (lineBreak > -1 && lineBreak < position) {
+        line++;
+        lineSearchPosition = lineBreak + 1;
+        lineBreak = text.indexOf('\n', lineSearchPosition);
+      }
+
+      const ruleText = match[3].split(/\s--\s/)[0].trim();
+      this.directives.push({
+        type: match[2],
+        rules: ruleText ? ruleText.split(/[\s,]+/).filter(Boolean) : null,
+        line,
+        column: position - lineSearchPosition,
+        position,
+        used: false
+      });
+    }
+  }
+
+  /**
+   * Find the directive that suppresses issues from a given rule on a given
+   * line, if any. If a directive is found, it is marked as used.
+   * @param {string} rule ID of the rule
+   * @param {number} line 0-based line number
+   * @param {boolean} [explicitly] Only find directives that list the rule.
+   * @returns {object|null}
+   */
+  suppressing (rule, line, explicitly = false) {
+    let suppressor = null;
+    for (const directive of this.directives) {
+      if (directive.line > line) break;
+
+      if (!appliesTo(directive, rule, explicitly)) continue;
+
+      if (directive.type === 'disable') {
+        suppressor = directive;
+      }
+      else if (directive.type === 'enable') {
+        suppressor = null;
+      }
+    }
+
+    // A `disable-next-line` directive for this line takes precedence. There
+    // can't be any after this line that matter, so search from the end.
+    for (let i = this.directives.length - 1; i >= 0; i--) {
+      const directive = this.directives[i];
+      if (directive.line < line - 1) break;
+      if (
+        directive.type === 'disable-next-line' &&
+        directive.line === line - 1 &&
+        appliesTo(directive, rule, explicitly)
+      ) {
+        suppressor = directive;
+        break;
+      }
+    }
+
+    if (suppressor) suppressor.used = true;
+    return suppressor;
+  }
+
+  /**
+   * Determine whether an issue is suppressed by a directive.
+   * @param {YAMLException} issue
+   * @param {boolean} [explicitly] Only count directives that list the issue's
+   *   rule.
+   * @returns {boolean}
+   */
+  suppresses (issue, explicitly = false) {
+    return this.suppressing(issue.rule, issue.mark.line, explicitly) !== null;
+  }
+
+  /**
+   * Get a list of directives that disable rules, but never suppressed any
+   * issues.
+   * @returns {Array<object>}
+   */
+  unused () {
+    return this.directives.filter(directive => directive.type !== 'enable' && !directive.used);
+  }
+}
+
+function appliesTo (directive, rule, explicitly) {
+  if (directive.rules === null) return !explicitly;
+  return directive.rules.includes(rule);
+}
+
+module.exports = Directives;
@@ -7,6 +7,11 @@
 'use strict';
 
 const chalk = require('chalk');
+const {structuredPatch} = require('diff');
+const path = require('path');
+const {pathToFileURL} = require('url');
+const packageInfo = require('../package.json');
+const rules = require('./rules');
 
 const issueLevelColors = {
   error: 'red',
@@ -14,24 +19,262 @@ const issueLevelColors = {
   fixed: 'green'
 };
 
+// Map issue levels to SARIF result levels. Fixed issues are no longer a
+// problem, so they are only reported as notes.
+const sarifLevels = {
+  error: 'error',
+  warning: 'warning',
+  fixed: 'note'
+};
+
+// Issues that don't have a rule (e.g. ones created outside `check()`) are
+// reported under this one.
+const defaultRuleId = 'syntax-error';
+
 /**
  * Pretty-print issues found by the checker to the console.
- * @param {Object} issues
+ * @param {string} filePath
+ * @param {Array<YAMLException>} issues
+ * @param {Console} [output] Console to print to. Defaults to the global
+ *   console, which prints to STDOUT.
  */
-function printIssues (filePath, issues) {
-  console.log(chalk.underline(filePath));
+function printIssues (filePath, issues, output = console) {
+  output.log(chalk.underline(filePath));
   issues.forEach(issue => {
     const line = issue.mark.line + 1;
     const column = issue.mark.column + 1;
     const position = `${line}:${column}`.padEnd(9, ' ');
     let level = issue.level.padEnd(7, ' ');
     level = chalk[issueLevelColors[issue.level] || 'red'](level);
-    console.log(`  ${position}  ${level}  ${issue.reason || issue.message}`);
+    const rule = issue.rule ? `  ${chalk.dim(issue.rule)}` : '';
+    output.log(`  ${position}  ${level}  ${issue.reason || issue.message}${rule}`);
   });
-  console.log('');
+  output.log('');
+}
+
+/**
+ * Convert an issue found by the checker into a plain object suitable for
+ * serializing as JSON. Lines and columns are 1-based, like in `printIssues()`.
+ * @param {YAMLException} issue
+ * @returns {{rule: string, line: number, column: number, level: string, reason: string}}
+ */
+function issueToJson (issue) {
+  return {
+    rule: issue.rule || defaultRuleId,
+    line: issue.mark.line + 1,
+    column: issue.mark.column + 1,
+    level: issue.level,
+    reason: issue.reason || issue.message
+  };
+}
+
+/**
+ * Format the results of checking a batch of files as a single JSON document.
+ * @param {Array<{filePath: string, issues: Array<YAMLException>}>} results
+ * @param {Object} summary Summary counts, as tracked by `Batch`.
+ * @returns {string}
+ */
+function formatJson (results, summary) {
+  return JSON.stringify({
+    files: results.map(({filePath, issues}) => ({
+      filePath,
+      issues: issues.map(issueToJson)
+    })),
+    summary
+  }, null, 2);
+}
+
+/**
+ * Print the results of checking a batch of files to the console as JSON.
+ * @param {Array<{filePath: string, issues: Array<YAMLException>}>} results
+ * @param {Object} summary Summary counts, as tracked by `Batch`.
+ * @param {Console} [output] Console to print to.
+ */
+function printJson (results, summary, output = console) {
+  output.log(formatJson(results, summary));
+}
+
+/**
+ * Format the changes fixing a file would make as a unified diff. The header
+ * for each hunk is labelled with the rules whose fixes are in it.
+ * @param {string} filePath
+ * @param {string} content The original content of the file.
+ * @param {string} fixedContent The content of the file after fixing.
+ * @param {Array<YAMLException>} issues Issues found in the file. Only fixed
+ *   issues (which have `edits`) are used to label hunks.
+ * @returns {string}
+ */
+function formatDiff (filePath, content, fixedContent, issues) {
+  const patch = structuredPatch(filePath, filePath, content, fixedContent, '', '', {context: 3});
+  if (!patch.hunks.length) return '';
+
+  // Find the (0-based) line each edit starts on in the original content.
+  const lineBreaks = [];
+  for (let i = content.indexOf('\n'); i > -1; i = content.indexOf('\n', i + 1)) {
+    lineBreaks.push(i);
+  }
+  const lineAt = position => {
+    let line = 0;
+    while (line < lineBreaks.length && lineBreaks[line] < position) line++;
+    return line;
+  };
+  const editLines = [];
+  for (const issue of issues) {
+    if (issue.level !== 'fixed' || !issue.edits) continue;
+    for (const edit of issue.edits) {
+      editLines.push({rule: issue.rule, line: lineAt(edit.start)});
+    }
+  }
+
+  const output = [
+    chalk.bold(`--- ${filePath}`),
+    chalk.bold(`+++ ${filePath}`)
+  ];
+  for (const hunk of patch.hunks) {
+    const start = hunk.oldStart - 1;
+    const end = start + Math.max(hunk.oldLines, 1);
+    const rules = new Set(editLines
+      .filter(edit => edit.line >= start && edit.line < end)
+      .map(edit => edit.rule));
+    const label = rules.size ? ` ${[...rules].join(', ')}` : '';
+
+    output.push(chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${label}`));
+    for (const line of hunk.lines) {
+      if (line[0] === '-') output.push(chalk.red(line));
+      else if (line[0] === '+') output.push(chalk.green(line));
+      else output.push(line);
+    }
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Print the changes fixing a file would make as a unified diff.
+ * @param {string} filePath
+ * @param {string} content The original content of the file.
+ * @param {string} fixedContent The content of the file after fixing.
+ * @param {Array<YAMLException>} issues Issues found in the file.
+ * @param {Console} [output] Console to print to.
+ */
+function printDiff (filePath, content, fixedContent, issues, output = console) {
+  const diff = formatDiff(filePath, content, fixedContent, issues);
+  if (diff) output.log(`${diff}\n`);
+}
+
+/**
+ * Get a URI for a file to use in SARIF output. Files inside the current
+ * working directory get relative URIs, which is what most code-scanning tools
+ * expect; anything else gets an absolute `file:` URI.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function sarifUri (filePath) {
+  const relativePath = path.relative(process.cwd(), filePath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return pathToFileURL(filePath).href;
+  }
+  return encodeURI(relativePath.split(path.sep).join('/'));
+}
+
+/**
+ * Format the results of checking a batch of files as a SARIF 2.1.0 log. Each
+ * kind of issue is described by a rule in the log, and fixed issues include
+ * the replacements that fixed them.
+ * @param {Array<{filePath: string, issues: Array<YAMLException>}>} results
+ * @returns {string}
+ */
+function formatSarif (results) {
+  const ruleDescriptors = [];
+  const ruleIndexes = new Map();
+  const sarifResults = [];
+
+  for (const {filePath, issues} of results) {
+    const artifactLocation = {uri: sarifUri(filePath)};
+
+    for (const issue of issues) {
+      const ruleId = issue.rule || defaultRuleId;
+      if (!ruleIndexes.has(ruleId)) {
+        ruleIndexes.set(ruleId, ruleDescriptors.length);
+        const rule = rules[ruleId];
+        ruleDescriptors.push({
+          id: ruleId,
+          shortDescription: {text: rule ? rule.description : ruleId},
+          defaultConfiguration: {level: rule ? rule.level : 'error'}
+        });
+      }
+
+      const result = {
+        ruleId,
+        ruleIndex: ruleIndexes.get(ruleId),
+        level: sarifLevels[issue.level] || 'error',
+        message: {text: issue.reason || issue.message},
+        locations: [{
+          physicalLocation: {
+            artifactLocation,
+            region: {
+              startLine: issue.mark.line + 1,
+              startColumn: issue.mark.column + 1,
+              charOffset: issue.mark.position
+            }
+          }
+        }]
+      };
+
+      if (issue.level === 'fixed' && issue.edits && issue.edits.length) {
+        result.fixes = [{
+          description: {text: `Fix: ${issue.reason || issue.message}`},
+          artifactChanges: [{
+            artifactLocation,
+            replacements: issue.edits.map(edit => ({
+              deletedRegion: {
+                charOffset: edit.start,
+                charLength: edit.end - edit.start
+              },
+              insertedContent: {text: edit.text}
+            }))
+          }]
+        }];
+      }
+
+      sarifResults.push(result);
+    }
+  }
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'YAML Doctor',
+          version: packageInfo.version,
+          informationUri: packageInfo.homepage,
+          rules: ruleDescriptors
+        }
+      },
+      results: sarifResults
+    }]
+  }, null, 2);
+}
+
+/**
+ * Print the results of checking a batch of files to the console as SARIF.
+ * @param {Array<{filePath: string, issues: Array<YAMLException>}>} results
+ * @param {Console} [output] Console to print to.
+ */
+function printSarif (results, output = console) {
+  output.log(formatSarif(results));
 }
 
 module.exports = {
+  formatDiff,
+  formatJson,
+  formatSarif,
   issueLevelColors,
-  printIssues
+  issueToJson,
+  printDiff,
+  printIssues,
+  printJson,
+  printSarif
 };
@@ -16,7 +16,8 @@ function checkGulpFileStream (options = null) {
   return gulpTransformStream(
     async (file, content) => {
       const filePath = path.relative(process.cwd(), file.path);
-      return await batch.reportFile(filePath, content);
+      // This only reports on files; it doesn't pass anything down the stream.
+      await batch.reportFile(filePath, content);
     },
     async () => {
       batch.reportSummary();
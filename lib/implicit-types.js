@@ -0,0 +1,96 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+
+'use strict';
+
+// Different tools resolve plain (unquoted) scalars to different types. js-yaml
+// mostly follows YAML 1.1, while parsers that follow YAML 1.2 use its much
+// smaller "core" schema. These patterns are from the specs:
+//   https://yaml.org/type/
+//   https://yaml.org/spec/1.2.2/#1032-tag-resolution
+
+// `true` and `false` are booleans in both versions, so aren't included here.
+const yaml11Boolean = /^(y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/;
+const yaml11Timestamp = /^([0-9]{4}-[0-9]{2}-[0-9]{2}|[0-9]{4}-[0-9]{1,2}-[0-9]{1,2}([Tt]|[ \t]+)[0-9]{1,2}:[0-9]{2}:[0-9]{2}(\.[0-9]*)?([ \t]*Z|[ \t]*[-+][0-9]{1,2}(:[0-9]{2})?)?)$/;
+const yaml11Sexagesimal = /^[-+]?([1-9][0-9_]*(:[0-5]?[0-9])+|[0-9][0-9_]*(:[0-5]?[0-9])+\.[0-9_]*)$/;
+const yaml11Octal = /^[-+]?0[0-7_]+$/;
+const yaml11Decimal = /^[-+]?(0|[1-9][0-9_]*)$/;
+const yaml11Float = /^[-+]?([0-9][0-9_]*)?\.[0-9_]*([eE][-+][0-9]+)?$/;
+const yaml12Decimal = /^[-+]?[0-9]+$/;
+const yaml12Float = /^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/;
+
+const leadingZeros = /^[-+]?0[0-9]/;
+const trailingZeros = /\.[0-9_]*0([eE]|$)/;
+
+/**
+ * YAML versions we know how to resolve plain scalars for.
+ * @type {Array<string>}
+ */
+const yamlVersions = ['1.1', '1.2'];
+
+/**
+ * Determine whether the text of a plain scalar is a boolean in a given YAML
+ * version, but not in js-yaml (which only treats `true` and `false` as
+ * booleans).
+ * @param {string} text
+ * @param {string} yamlVersion
+ * @returns {boolean}
+ */
+function isImplicitBoolean (text, yamlVersion) {
+  return yamlVersion === '1.1' && yaml11Boolean.test(text);
+}
+
+/**
+ * Determine whether the text of a plain scalar resolves to a number or date
+ * in a given YAML version *and* loses information the author probably cared
+ * about by doing so. For example, `1.10` becomes the number `1.1`, and
+ * `01234` becomes `668` (an octal number) in YAML 1.1 or `1234` in YAML 1.2.
+ * Numbers that are written the way they'd normally be printed, like `1.5`,
+ * don't lose anything.
+ * @param {string} text
+ * @param {string} yamlVersion
+ * @returns {string|null} A description of what the text resolves to, like
+ *   `the number 1.1`, or `null` if nothing is lost.
+ */
+function describeLossyType (text, yamlVersion) {
+  if (yamlVersion === '1.1') {
+    if (yaml11Timestamp.test(text)) return 'a date';
+
+    const digits = text.replace(/_/g, '');
+    if (yaml11Sexagesimal.test(text)) {
+      const sign = digits[0] === '-' ? -1 : 1;
+      const value = digits.replace(/^[-+]/, '').split(':')
+        .reduce((total, part) => total * 60 + Number(part), 0);
+      return `the base 60 number ${sign * value}`;
+    }
+    if (yaml11Octal.test(text)) {
+      return `the octal number ${parseInt(digits, 8)}`;
+    }
+    if (yaml11Decimal.test(text)) return describeLossyNumber(digits);
+    if (yaml11Float.test(text) && /[0-9]/.test(text)) return describeLossyNumber(digits);
+  }
+  else if (yamlVersion === '1.2') {
+    if (yaml12Decimal.test(text) || yaml12Float.test(text)) return describeLossyNumber(text);
+  }
+
+  return null;
+}
+
+function describeLossyNumber (text) {
+  const value = Number(text);
+  const lossy = (
+    leadingZeros.test(text) ||
+    trailingZeros.test(text) ||
+    (Number.isInteger(value) && !Number.isSafeInteger(value) && !/[.eE]/.test(text))
+  );
+  return lossy ? `the number ${value}` : null;
+}
+
+module.exports = {
+  describeLossyType,
+  isImplicitBoolean,
+  yamlVersions
+};
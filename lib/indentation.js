@@ -0,0 +1,226 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+
+'use strict';
+
+const yaml = require('js-yaml');
+
+// Indentation has to be spaces in YAML, but a lot of editors insert tabs.
+// Since tabs don't have a fixed width, we have to guess how wide the author's
+// editor showed them in order to turn them into the right number of spaces.
+const tabWidths = [2, 4, 8];
+
+const blockScalarStart = /(^|[ \t]|[:-][ \t]+)[|>][-+0-9]*[ \t]*(#.*)?$/;
+
+/**
+ * Find lines whose indentation includes tab characters. Lines in the content
+ * of block scalars are skipped, since tabs there (after the block's actual
+ * indentation) are part of the value.
+ * @param {string} text YAML source code.
+ * @returns {Array<{start: number, indent: string}>} The position of each line
+ *   and the whitespace it starts with.
+ */
+function findTabIndentedLines (text) {
+  const lines = [];
+  let blockIndent = -1;
+  let lineStart = 0;
+  while (lineStart < text.length) {
+    let lineEnd = text.indexOf('\n', lineStart);
+    if (lineEnd === -1) lineEnd = text.length;
+    const line = text.slice(lineStart, lineEnd).replace(/\r$/, '');
+    const indent = line.match(/^[ \t]*/)[0];
+    const blank = indent.length === line.length;
+    const width = expandTabs(indent, 1).length;
+
+    if (blockIndent > -1 && (blank || width > blockIndent)) {
+      // Part of a block scalar.
+    }
+    else {
+      blockIndent = blockScalarStart.test(line) ? width : -1;
+      if (!blank && indent.includes('\t')) {
+        lines.push({start: lineStart, indent});
+      }
+    }
+
+    lineStart = lineEnd + 1;
+  }
+  return lines;
+}
+
+/**
+ * Replace the tabs in some indentation with spaces, treating tabs as moving
+ * to the next tab stop (like most editors do).
+ * @param {string} indent
+ * @param {number} tabWidth
+ * @returns {string}
+ */
+function expandTabs (indent, tabWidth) {
+  let expanded = '';
+  for (const character of indent) {
+    if (character === '\t') {
+      expanded += ' '.repeat(tabWidth - expanded.length % tabWidth);
+    }
+    else {
+      expanded += character;
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Guess the width of tabs in YAML source with tab-indented lines. Each likely
+ * width (starting with the width of the source's space indentation, if there
+ * is any) is tried, and the first one that lets the source parse wins. If
+ * none do, the one that gets the parser furthest past the lines with tabs
+ * wins, since there may be other problems later that get fixed separately.
+ *
+ * Note the source often parses without expanding the tabs, but the parser
+ * reads tab-indented lines as not being indented at all, so that is not a
+ * sign the tabs are OK.
+ * @param {string} text YAML source code.
+ * @param {Array<{start: number, indent: string}>} lines The tab-indented
+ *   lines, from `findTabIndentedLines()`.
+ * @returns {number|null} The tab width, or `null` if there are no
+ *   tab-indented lines or no width helps.
+ */
+function detectTabWidth (text, lines) {
+  if (!lines.length) return null;
+
+  const error = parseError(text);
+  const candidates = new Set([detectIndentUnit(text), ...tabWidths]);
+  candidates.delete(null);
+  const lastLine = lines[lines.length - 1].start;
+  let best = null;
+  let bestPosition = Math.max(error ? error.mark.position : -1, text.indexOf('\n', lastLine));
+  for (const tabWidth of candidates) {
+    const expanded = replaceIndentation(text, lines, tabWidth);
+    const expandedError = parseError(expanded.text);
+    if (!expandedError) return tabWidth;
+
+    const position = expanded.originalPosition(expandedError.mark.position);
+    if (position > bestPosition) {
+      best = tabWidth;
+      bestPosition = position;
+    }
+  }
+  return best;
+}
+
+/**
+ * Guess how many spaces each level of indentation is in YAML source, based
+ * on the most common increase in indentation after a line that starts a
+ * nested collection (i.e. a line ending in `:`). Other increases, like the
+ * continuation lines of a long string, are a lot less consistent.
+ * @param {string} text YAML source code.
+ * @returns {number|null} The width, or `null` if nothing is indented.
+ */
+function detectIndentUnit (text) {
+  const counts = new Map();
+  let previous = null;
+  for (const line of text.split('\n')) {
+    const match = line.match(/^( *)[^ \t\r#]/);
+    if (!match) continue;
+
+    const width = match[1].length;
+    if (previous && previous.opens && width > previous.width) {
+      counts.set(width - previous.width, (counts.get(width - previous.width) || 0) + 1);
+    }
+    previous = {width, opens: /:[ \t]*(#.*)?\r?$/.test(line)};
+  }
+
+  let unit = null;
+  for (const [width, count] of counts) {
+    if (unit === null || count > counts.get(unit) || (count === counts.get(unit) && width < unit)) {
+      unit = width;
+    }
+  }
+  return unit;
+}
+
+/**
+ * Guess the text used for each level of indentation in each document of some
+ * YAML source: either a tab or some number of spaces.
+ * @param {string} text YAML source code.
+ * @returns {Array<{start: number, end: number, indentation: string|null}>}
+ *   Where each document starts and ends and its indentation, which is `null`
+ *   if nothing in the document is indented.
+ */
+function detectDocumentIndentation (text) {
+  const documents = [];
+  const separator = /^(---|\.\.\.)([ \t\r]|$)/mg;
+  let start = 0;
+  let match;
+  while ((match = separator.exec(text))) {
+    if (match.index > start) documents.push({start, end: match.index});
+    start = match.index;
+    separator.lastIndex = match.index + match[0].length;
+  }
+  documents.push({start, end: text.length});
+
+  return documents.map(({start, end}) => {
+    return {start, end, indentation: detectIndentation(text.slice(start, end))};
+  });
+}
+
+function detectIndentation (text) {
+  let tabLines = 0;
+  let spaceLines = 0;
+  for (const line of text.split('\n')) {
+    const match = line.match(/^([ \t])[ \t]*[^ \t\r#]/);
+    if (!match) continue;
+
+    if (match[1] === '\t') tabLines++;
+    else spaceLines++;
+  }
+
+  if (tabLines > spaceLines) return '\t';
+  const unit = detectIndentUnit(text);
+  return unit ? ' '.repeat(unit) : null;
+}
+
+function replaceIndentation (text, lines, tabWidth) {
+  let result = '';
+  let last = 0;
+  const offsets = [];
+  for (const {start, indent} of lines) {
+    const spaces = expandTabs(indent, tabWidth);
+    result += text.slice(last, start) + spaces;
+    last = start + indent.length;
+    offsets.push({position: result.length, original: last});
+  }
+  result += text.slice(last);
+
+  return {
+    text: result,
+    originalPosition (position) {
+      let original = position;
+      for (const offset of offsets) {
+        if (offset.position > position) break;
+        original = offset.original + position - offset.position;
+      }
+      return original;
+    }
+  };
+}
+
+function parseError (text) {
+  try {
+    yaml.loadAll(text, null, {json: true, schema: yaml.DEFAULT_SAFE_SCHEMA});
+  }
+  catch (error) {
+    if (!error.mark) throw error;
+    return error;
+  }
+  return null;
+}
+
+module.exports = {
+  detectDocumentIndentation,
+  detectIndentUnit,
+  detectTabWidth,
+  expandTabs,
+  findTabIndentedLines
+};
@@ -0,0 +1,162 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+
+'use strict';
+
+const Ajv = require('ajv');
+const draft04MetaSchema = require('ajv/lib/refs/json-schema-draft-04.json');
+const draft06MetaSchema = require('ajv/lib/refs/json-schema-draft-06.json');
+const fsPromises = require('fs/promises');
+const {formatPath, parseTree} = require('./node-tree');
+const yaml = require('js-yaml');
+
+// Compiled schemas, so each one is only compiled once. Each gets its own Ajv
+// instance, since Ajv won't add two schemas with the same `$id`.
+const validators = new WeakMap();
+
+// The same schema is usually used for a lot of files, so only load it once.
+const loadedSchemas = new Map();
+
+/**
+ * Load a JSON Schema from a file, which can be written in JSON or YAML.
+ * @param {string} filePath
+ * @returns {Promise<object>}
+ */
+function loadJsonSchema (filePath) {
+  if (!loadedSchemas.has(filePath)) {
+    const loading = fsPromises.readFile(filePath, 'utf8').then(text => {
+      let schema;
+      try {
+        schema = yaml.safeLoad(text, {filename: filePath, json: true});
+      }
+      catch (error) {
+        throw new Error(`Could not parse JSON Schema ${filePath}: ${error.message}`);
+      }
+      checkSchemaVersion(schema, filePath);
+      return schema;
+    });
+    // Don't hang onto failures, since the file might be fixed or readable
+    // the next time it's needed.
+    loading.catch(() => loadedSchemas.delete(filePath));
+    loadedSchemas.set(filePath, loading);
+  }
+  return loadedSchemas.get(filePath);
+}
+
+/**
+ * Validate each document in some YAML source against a JSON Schema.
+ * @param {string} text YAML source code. It should be free of syntax errors;
+ *   if it can't be parsed, nothing is validated.
+ * @param {object} schema
+ * @returns {Array<{reason: string, position: number}>} A description of each
+ *   way the documents don't match the schema and the position of the node
+ *   that doesn't match.
+ */
+function findSchemaViolations (text, schema) {
+  const validate = compileSchema(schema);
+  const {documents, roots, error} = parseTree(text);
+  if (error) return [];
+
+  const violations = [];
+  documents.forEach((document, index) => {
+    if (validate(document)) return;
+
+    for (const schemaError of validate.errors) {
+      const path = parsePointer(schemaError.dataPath, document);
+      let message = schemaError.message;
+      let node = nodeAtPath(roots[index], path);
+      if (schemaError.keyword === 'additionalProperties') {
+        // Point at the key that isn't allowed, rather than its mapping.
+        const name = schemaError.params.additionalProperty;
+        message += ` (found \`${name}\`)`;
+        node = keyNode(node, name) || node;
+      }
+      else if (schemaError.keyword === 'enum') {
+        message += `: ${schemaError.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+      }
+
+      const where = path.length ? `\`${formatPath(path)}\`` : 'the document';
+      violations.push({reason: `${where} ${message}`, position: node.start});
+    }
+  });
+  return violations;
+}
+
+function compileSchema (schema) {
+  if (validators.has(schema)) return validators.get(schema);
+
+  checkSchemaVersion(schema);
+  // Ajv 6 only knows draft 7 out of the box. Drafts 4 and 6 need their meta
+  // schemas added (and draft 4 uses `id` instead of `$id`).
+  const ajv = new Ajv({allErrors: true, jsonPointers: true, schemaId: 'auto'});
+  ajv.addMetaSchema(draft04MetaSchema);
+  ajv.addMetaSchema(draft06MetaSchema);
+  const validate = ajv.compile(schema);
+  // Boolean schemas (`true` and `false`) can't be WeakMap keys.
+  if (schema && typeof schema === 'object') validators.set(schema, validate);
+  return validate;
+}
+
+// Ajv 6 only supports JSON Schema drafts 4 through 7, and gives unclear
+// errors (or silently ignores keywords) for newer ones, so fail clearly.
+function checkSchemaVersion (schema, filePath = null) {
+  const version = schema && typeof schema === 'object' && schema.$schema;
+  if (typeof version === 'string' && /\/draft\/20\d\d-\d\d\//.test(version)) {
+    const source = filePath ? ` in ${filePath}` : '';
+    throw new Error(`JSON Schema version ${version}${source} is not supported (only drafts 4 through 7 are)`);
+  }
+}
+
+// Find the node at a path of keys and indexes (see `parsePointer()`), or the
+// closest parent that can be found (e.g. if the value came from a merge).
+function nodeAtPath (node, path) {
+  for (const name of path) {
+    let child = null;
+    if (node.kind === 'mapping') {
+      const key = keyNode(node, name);
+      child = key && node.children[node.children.indexOf(key) + 1];
+    }
+    else if (node.kind === 'sequence') {
+      child = node.children[name];
+    }
+    if (!child) break;
+    node = child;
+  }
+  return node;
+}
+
+// Find the node for a key in a mapping node. If the key appears more than
+// once, the last one wins (like it does when parsing).
+function keyNode (mapping, name) {
+  if (mapping.kind !== 'mapping') return null;
+
+  let key = null;
+  for (let i = 0; i + 1 < mapping.children.length; i += 2) {
+    if (String(mapping.children[i].result) === String(name)) {
+      key = mapping.children[i];
+    }
+  }
+  return key;
+}
+
+// Ajv reports paths as JSON Pointers, like `/jobs/0/name`. Convert them to a
+// path of keys and indexes (sequence indexes are numbers).
+function parsePointer (pointer, data) {
+  if (!pointer) return [];
+
+  let value = data;
+  return pointer.slice(1).split('/').map(segment => {
+    let name = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (Array.isArray(value)) name = Number(name);
+    value = value == null ? undefined : value[name];
+    return name;
+  });
+}
+
+module.exports = {
+  findSchemaViolations,
+  loadJsonSchema
+};
@@ -0,0 +1,145 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+
+'use strict';
+
+const yaml = require('js-yaml');
+
+/**
+ * A parsed YAML node and where it is in the source.
+ * @typedef {object} YamlNode
+ * @property {string|null} kind `scalar`, `mapping`, `sequence`, or `null`
+ *   for empty values and aliases.
+ * @property {*} result The parsed value of the node.
+ * @property {number} start Position of the node's first character.
+ * @property {number} end Position just after the node.
+ * @property {Array<YamlNode>} children Child nodes, in source order. For
+ *   mappings, these alternate between keys and values.
+ */
+
+/**
+ * Parse YAML source and build a tree of its nodes with their locations. The
+ * parser doesn't give us locations directly, so this builds the tree from the
+ * `open` and `close` events it sends to listeners.
+ * @param {string} text YAML source code.
+ * @returns {{documents: Array<*>, roots: Array<YamlNode>, error: YAMLException}}
+ *   The parsed documents, the root node of each document, and the error that
+ *   stopped parsing, if any. If there was an error, `documents` is empty and
+ *   `roots` includes whatever was parsed before the error.
+ */
+function parseTree (text) {
+  const roots = [];
+  const stack = [];
+  let documents = [];
+  let error = null;
+
+  try {
+    documents = yaml.loadAll(text, null, {
+      json: true,
+      schema: yaml.DEFAULT_SAFE_SCHEMA,
+      listener (operation, state) {
+        if (operation === 'open') {
+          stack.push({
+            kind: null,
+            result: undefined,
+            start: state.position,
+            end: state.position,
+            children: []
+          });
+          return;
+        }
+
+        let node = stack.pop();
+        node.kind = state.kind;
+        node.result = state.result;
+        node.end = state.position;
+        // The `open` event happens where the previous token ended, so skip
+        // any whitespace before the node actually starts.
+        node.start = Math.min(skipSpace(text, node.start), node.end);
+
+        // The parser often composes a node by composing another one at the
+        // same spot (e.g. for each sequence item), so unwrap those.
+        const onlyChild = node.children.length === 1 && node.children[0];
+        if (onlyChild && onlyChild.kind === node.kind && onlyChild.result === node.result) {
+          node = onlyChild;
+        }
+
+        const parent = stack[stack.length - 1];
+        (parent ? parent.children : roots).push(node);
+      }
+    });
+  }
+  catch (parseError) {
+    if (!parseError.mark) throw parseError;
+    error = parseError;
+  }
+
+  return {documents, roots, error};
+}
+
+/**
+ * Match up the child nodes of a collection with the keys or indexes in its
+ * parsed value.
+ * @param {YamlNode} node
+ * @returns {Array<{name: string|number, key: YamlNode|null, value: YamlNode}>|null}
+ *   Each child value with its key or index (and, in mappings, its key node).
+ *   This is empty for scalars, aliases, and empty collections, and `null` for
+ *   collections that can't be reliably matched up with their parsed values
+ *   (e.g. because of duplicate keys or merges).
+ */
+function childEntries (node) {
+  const {kind, children, result} = node;
+  if (kind === 'mapping' && children.length) {
+    if (children.length % 2 !== 0) return null;
+
+    const entries = [];
+    for (let i = 0; i < children.length; i += 2) {
+      const key = children[i];
+      const value = children[i + 1];
+      const name = String(key.result);
+      if (
+        key.kind !== 'scalar' ||
+        !Object.prototype.hasOwnProperty.call(result, name) ||
+        result[name] !== value.result
+      ) {
+        return null;
+      }
+      entries.push({name, key, value});
+    }
+    return entries;
+  }
+  else if (kind === 'sequence' && children.length) {
+    if (children.length !== result.length) return null;
+    if (children.some((child, index) => child.result !== result[index])) return null;
+
+    return children.map((value, index) => ({name: index, key: null, value}));
+  }
+  return [];
+}
+
+/**
+ * Format a path of keys and indexes for display, like `a.b[0].c`.
+ * @param {Array<string|number>} path
+ * @returns {string}
+ */
+function formatPath (path) {
+  return path.reduce((text, name) => {
+    if (typeof name === 'number') return `${text}[${name}]`;
+    return text ? `${text}.${name}` : name;
+  }, '');
+}
+
+function skipSpace (text, start) {
+  let i = start;
+  while (i < text.length && /[ \t\r\n]/.test(text[i])) i++;
+  return i;
+}
+
+module.exports = {
+  childEntries,
+  formatPath,
+  parseTree
+};
@@ -0,0 +1,123 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+
+'use strict';
+
+/**
+ * Describes every kind of issue the checker can report, keyed by rule ID. The
+ * IDs are stable, so they are safe to filter, count, or configure issues by.
+ * Each rule has a short `description` and the `level` its issues are reported
+ * at when they aren't fixed.
+ * @type {Object<string, {description: string, level: string}>}
+ */
+const rules = {
+  'invalid-character': {
+    description: 'Non-printable characters that are not allowed anywhere in YAML.',
+    level: 'error'
+  },
+  'unescaped-quote': {
+    description: 'Quotes inside a quoted string that should have been escaped.',
+    level: 'error'
+  },
+  'unterminated-string': {
+    description: 'Quoted strings that do not have an end quote.',
+    level: 'error'
+  },
+  'invalid-escape': {
+    description: 'Invalid escape sequences in double-quoted strings.',
+    level: 'error'
+  },
+  'unquoted-template': {
+    description: 'Template substitutions like `{{ variable }}` that are not quoted, and so parse as mappings.',
+    level: 'warning'
+  },
+  'leading-at-sign': {
+    description: 'Unquoted values that start with `@`, which is reserved in YAML.',
+    level: 'warning'
+  },
+  'unquoted-colon': {
+    description: 'Unquoted values that contain `: `, which can only follow a key.',
+    level: 'error'
+  },
+  'leading-bracket': {
+    description: 'Unquoted values that start with `[` or `{` but are not meant to be sequences or mappings.',
+    level: 'error'
+  },
+  'leading-indicator': {
+    description: 'Unquoted values that start with another character YAML reserves for its own syntax, like `*`, `!`, or `|`, but are probably meant as text.',
+    level: 'error'
+  },
+  'entity-anchor': {
+    description: 'Anchors that look like HTML entities, e.g. `&nbsp;`, and were probably meant to be part of a value.',
+    level: 'warning'
+  },
+  'undefined-alias': {
+    description: 'Aliases, like `*name`, that refer to an anchor that is not defined (before them) in the same document.',
+    level: 'error'
+  },
+  'unused-anchor': {
+    description: 'Anchors, like `&name`, that no alias refers to.',
+    level: 'warning'
+  },
+  'invalid-merge': {
+    description: 'Values of `<<` merge keys that are not a mapping or a list of mappings.',
+    level: 'error'
+  },
+  'implicit-boolean': {
+    description: 'Unquoted values like `yes`, `no`, `on`, and `off` that are booleans in YAML 1.1, but strings in YAML 1.2.',
+    level: 'warning'
+  },
+  'implicit-type': {
+    description: 'Unquoted values that are read as numbers or dates and lose part of what was written, like `1.10` or `01234`.',
+    level: 'warning'
+  },
+  'smart-quotes': {
+    description: 'Unquoted values wrapped in typographic quotes, like `\u201Cthis\u201D`, that were probably meant to be quoted strings.',
+    level: 'warning'
+  },
+  'comment-in-value': {
+    description: 'Unquoted values that are cut short by something like `#1` that looks like part of the value, but starts a comment.',
+    level: 'warning'
+  },
+  'under-indented': {
+    description: 'Lines in a multi-line value that are not indented enough.',
+    level: 'warning'
+  },
+  'duplicate-key': {
+    description: 'Keys that appear more than once in the same mapping.',
+    level: 'error'
+  },
+  'mixed-indentation': {
+    description: 'Lines indented with a mix of spaces and tabs.',
+    level: 'error'
+  },
+  'parser-compat': {
+    description: 'Things that the parsers set with the `compat` option read differently from js-yaml or cannot read at all.',
+    level: 'error'
+  },
+  'schema-violation': {
+    description: 'Values that do not match the JSON Schema configured for a file.',
+    level: 'error'
+  },
+  'syntax-error': {
+    description: 'Other syntax errors found by the YAML parser.',
+    level: 'error'
+  },
+  'parser-warning': {
+    description: 'Other warnings from the YAML parser.',
+    level: 'warning'
+  },
+  'fix-verification': {
+    description: 'Fixes that were not applied because the fixed YAML would not parse or would have changed other values.',
+    level: 'error'
+  },
+  'unused-directive': {
+    description: '`# yaml-doctor-disable` comments that do not suppress any issues.',
+    level: 'warning'
+  }
+};
+
+module.exports = rules;
@@ -181,27 +181,18 @@ class StringEditor {
     // Search backwards under the assumption that most edits and lookups will
     // be made sequentially from the start, so there will usually be few or no
     // edits after `position` and many before `position`.
-    let position = originalPosition;
+    // Edit positions are in the current string, so subtract the size of the
+    // edits before each one to find where it was in the original string.
     for (let i = this._edits.length - 1; i >= 0; i--) {
-      if (this._edits[i].position <= position) {
-        position += this._edits[i].size;
-
-        // The above may have moved us into a later area with a bigger offset,
-        // so now we start rolling *forward* looking for later edit locations
-        // that are now larger than ours.
-        let offset = this._edits[i].size;
-        for (i += 1; i < this._edits.length; i++) {
-          if (this._edits[i].position > position) break;
-
-          position += this._edits[i].size - offset;
-          offset = this._edits[i].size;
-        }
-        break;
+      const sizeBefore = i > 0 ? this._edits[i - 1].size : 0;
+      if (this._edits[i].position - sizeBefore <= originalPosition) {
+        return originalPosition + this._edits[i].size;
       }
     }
-    return position;
+    return originalPosition;
   }
 
+
   /**
    * Create a mark object to log a position as it would have been in the
    * original string, given a position in the current version of the string.
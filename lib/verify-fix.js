@@ -0,0 +1,137 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+
+'use strict';
+
+const {childEntries, formatPath, parseTree} = require('./node-tree');
+const util = require('util');
+
+/**
+ * Make sure fixing some YAML source didn't make it worse. The fixed source
+ * has to parse at least as far as the original did, and if the original
+ * parsed, every value and mapping key the fixes didn't touch has to parse to
+ * the same thing (and at the same path) as it did originally.
+ * @param {string} original The original YAML source.
+ * @param {string} fixed The fixed YAML source.
+ * @param {object} options
+ * @param {Array<{start: number, end: number}>} options.edits The edits that
+ *   were made to fix the source, with positions in the original source.
+ * @param {function(number): number} options.originalPosition Converts a
+ *   position in the fixed source to a position in the original source.
+ * @param {number} [options.errorPosition] Position in the original source of
+ *   an error that fixing was not expected to solve. The fixed source may have
+ *   an error here or anywhere after it.
+ * @returns {{reason: string, position: number}|null} A description of what
+ *   went wrong and where (in the original source), or `null` if the fixes are
+ *   fine.
+ */
+function verifyFix (original, fixed, {edits, originalPosition, errorPosition = null}) {
+  const before = parseTree(original);
+  const after = parseTree(fixed);
+
+  if (after.error) {
+    // Error positions within a line depend a lot on exactly what the parser
+    // was doing, so only require the error to be on the same line or later.
+    const position = originalPosition(after.error.mark.position);
+    const allowedPosition = Math.min(
+      before.error ? before.error.mark.position : Infinity,
+      errorPosition == null ? Infinity : errorPosition
+    );
+    if (lineAt(original, position) < lineAt(original, allowedPosition)) {
+      return {reason: `the fixed YAML has an error: ${after.error.reason}`, position};
+    }
+    return null;
+  }
+  if (before.error) return null;
+
+  const touched = node => edits.some(edit => edit.start <= node.end && edit.end >= node.start);
+  const touchedAfter = node => touched({
+    start: originalPosition(node.start),
+    end: originalPosition(node.end)
+  });
+  for (const [index, root] of before.roots.entries()) {
+    const difference = findDifference(root, after.roots[index], [], {touched, touchedAfter});
+    if (difference) return difference;
+  }
+
+  return null;
+}
+
+// Compare a node from the original source with the node in the same place in
+// the fixed source. Keys and leaf values the fixes didn't touch have to be the
+// same, but fixes can move or rename the keys they touched (e.g. by indenting
+// them under a different parent or quoting them).
+function findDifference (before, after, path, {touched, touchedAfter}) {
+  const where = path.length ? `the value of \`${formatPath(path)}\`` : 'the document';
+  const changed = {reason: `they changed ${where}`, position: before.start};
+
+  const beforeEntries = childEntries(before);
+  if (!beforeEntries) return null;
+  if (!beforeEntries.length) {
+    if (touched(before)) return null;
+    return after && util.isDeepStrictEqual(after.result, before.result) ? null : changed;
+  }
+
+  if (!after || after.kind !== before.kind) {
+    // A fix can turn something the author didn't mean as a collection into a
+    // string (e.g. quoting `{{ variable }}`).
+    return touched(before) ? null : changed;
+  }
+  const afterEntries = childEntries(after);
+  if (!afterEntries) return null;
+
+  if (before.kind === 'sequence') {
+    if (afterEntries.length !== beforeEntries.length && !touched(before)) {
+      return {reason: `they changed the length of ${where}`, position: before.start};
+    }
+    for (const [index, {name, value}] of beforeEntries.entries()) {
+      if (index >= afterEntries.length) break;
+      const difference = findDifference(value, afterEntries[index].value, [...path, name], {touched, touchedAfter});
+      if (difference) return difference;
+    }
+    return null;
+  }
+
+  const afterValues = new Map(afterEntries.map(entry => [entry.name, entry.value]));
+  const untouchedNames = new Set();
+  for (const {name, key, value} of beforeEntries) {
+    if (!touched(key)) {
+      if (!afterValues.has(name)) {
+        return {reason: `they removed the key \`${formatPath([...path, name])}\``, position: key.start};
+      }
+      untouchedNames.add(name);
+    }
+    // A touched key might have been renamed, so only compare its value if
+    // there's still a key with the same name.
+    if (afterValues.has(name)) {
+      const difference = findDifference(value, afterValues.get(name), [...path, name], {touched, touchedAfter});
+      if (difference) return difference;
+    }
+  }
+
+  // Any new keys have to be ones the fixes touched (and maybe renamed or
+  // moved here from somewhere else).
+  const added = afterEntries.find(({name, key}) => !untouchedNames.has(name) && !touchedAfter(key));
+  if (added) {
+    return {reason: `they added the key \`${formatPath([...path, added.name])}\``, position: before.start};
+  }
+
+  return null;
+}
+
+function lineAt (text, position) {
+  if (position === Infinity) return Infinity;
+
+  let line = 0;
+  let lineBreak = text.indexOf('\n');
+  while (lineBreak > -1 && lineBreak < position) {
+    line++;
+    lineBreak = text.indexOf('\n', lineBreak + 1);
+  }
+  return line;
+}
+
+module.exports = verifyFix;
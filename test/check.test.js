@@ -6,6 +6,9 @@
 'use strict';
 
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {assertIncludes} = require('./support/assertions');
 const unindent = require('./support/unindent');
 const yamlDoctor = require('../lib/check');
@@ -24,6 +27,169 @@ describe('checker', function () {
     assert.equal(issues[0].mark.line, 3, 'The error was on the wrong line');
   });
 
+  it('errors for tab indentation that does not cause a parse error', function () {
+    // The parser reads these lines as not indented at all, so `b` and `c`
+    // would end up at the top level instead of in `a`.
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      a:
+      	b: 1
+      	c: 2
+      d:
+        e: 1
+      	f: 2
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line]), [
+      ['mixed-indentation', 'fixed', 2],
+      ['mixed-indentation', 'fixed', 3],
+      ['mixed-indentation', 'fixed', 6]
+    ]);
+    assert.equal(fixed, unindent`
+      a:
+        b: 1
+        c: 2
+      d:
+        e: 1
+        f: 2
+    `);
+  });
+
+  it('can fix mixed space/tab indentation', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      parent:
+          child:
+      \t\tgrandchild: 1
+      \t    other_grandchild: 2
+          sibling: 3
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line]), [
+      ['mixed-indentation', 'fixed', 3],
+      ['mixed-indentation', 'fixed', 4]
+    ]);
+    assert.equal(fixed, unindent`
+      parent:
+          child:
+              grandchild: 1
+              other_grandchild: 2
+          sibling: 3
+    `);
+  });
+
+  it('warns for unquoted values wrapped in smart quotes', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      title: \u201CGetting started with \u2018YAML\u2019\u201D
+      tagline: \u2018Don\u2019t panic\u2019
+      quote: \u201CHello,\u201D she said.
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line]), [
+      ['smart-quotes', 'fixed', 1],
+      ['smart-quotes', 'fixed', 2]
+    ]);
+    assert.equal(fixed, unindent`
+      title: "Getting started with \u2018YAML\u2019"
+      tagline: 'Don\u2019t panic'
+      quote: \u201CHello,\u201D she said.
+    `);
+  });
+
+  it('warns for unquoted values wrapped in smart quotes across several lines', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      title: \u201CGetting started
+        with "YAML"\u201D
+      tagline: \u2018Don\u2019t
+        panic, it's fine\u2019
+      quote: \u201CHello,\u201D she said,
+        \u201Cgoodbye.\u201D
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line]), [
+      ['smart-quotes', 'fixed', 1],
+      ['smart-quotes', 'fixed', 3]
+    ]);
+    assert.equal(fixed, unindent`
+      title: "Getting started
+        with \\"YAML\\""
+      tagline: 'Don\u2019t
+        panic, it''s fine'
+      quote: \u201CHello,\u201D she said,
+        \u201Cgoodbye.\u201D
+    `);
+  });
+
+  it('warns for unquoted values that are cut short by a comment', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      title: Best practices #1 for teams
+      tweet: Loving it #yaml # this is a real comment
+      normal: value # this is a real comment
+      todo: value #TODO: check this
+      aligned: value  #also a real comment
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line, issue.mark.column]), [
+      ['comment-in-value', 'fixed', 1, 22],
+      ['comment-in-value', 'fixed', 2, 17]
+    ]);
+    assertIncludes(issues[0].reason, 'read as "Best practices"');
+    assert.equal(fixed, unindent`
+      title: "Best practices #1 for teams"
+      tweet: "Loving it #yaml" # this is a real comment
+      normal: value # this is a real comment
+      todo: value #TODO: check this
+      aligned: value  #also a real comment
+    `);
+  });
+
+  it('errors for unquoted values with a colon in them', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      subtitle: Step 1: plan your work # a comment
+      steps:
+        - Step 1: this is a mapping
+    `);
+
+    assert.equal(issues.length, 1, `There should be one issue in [${issues.join(',')}]`);
+    assert.equal(issues[0].rule, 'unquoted-colon');
+    assert.equal(issues[0].level, 'error');
+    assert.equal(issues[0].reason, 'unquoted colon in value');
+    assert.equal(issues[0].mark.line, 1);
+    assert.equal(issues[0].mark.column, 16);
+  });
+
+  it('can fix unquoted values with a colon in them', function () {
+    const {fixed} = yamlDoctor.check(unindent`
+      subtitle: Step 1: plan your work # a comment
+      list:
+        - key: Step 2: do it
+    `, {fix: true});
+
+    assert.equal(fixed, unindent`
+      subtitle: "Step 1: plan your work" # a comment
+      list:
+        - key: "Step 2: do it"
+    `);
+  });
+
+  it('can fix unquoted values with a colon in them in files with CRLF line breaks', function () {
+    const {issues, fixed} = yamlDoctor.check('a: b: c\r\nd: "e\r\nf: g\r\n', {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level]), [
+      ['unquoted-colon', 'fixed'],
+      ['unterminated-string', 'fixed']
+    ]);
+    assert.equal(fixed, 'a: "b: c"\r\nd: "e"\r\nf: g\r\n');
+  });
+
+  it('only reports an unquoted colon it cannot fix once', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      subtitle: Step 1: "plan" your work
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.column]), [
+      ['unquoted-colon', 'error', 16]
+    ]);
+  });
+
   it('warns for @ signs at the start of scalars', function () {
     const {issues} = yamlDoctor.check(unindent`
       some_key: @at sign value
@@ -159,6 +325,308 @@ describe('checker', function () {
     `);
   });
 
+  it('can fix non-mappings starting with `{`', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      some_key: {x} marks the spot
+      mapping: {x: 1}
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => issue.rule), ['leading-bracket']);
+    assertIncludes(issues[0].reason, '`{`');
+    assert.equal(fixed, unindent`
+      some_key: "{x} marks the spot"
+      mapping: {x: 1}
+    `);
+  });
+
+  it('explains and fixes prose starting with other indicator characters', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      command: \`ls -l\` lists files
+      progress: %done
+      exclamation: ! wow
+      emphasis: *very* important
+      table: | col | col |
+      reply: > quoted text
+      question: ? maybe
+    `, {fix: true});
+
+    assert.deepEqual(
+      issues.map(issue => [issue.rule, issue.mark.line]),
+      [1, 2, 3, 4, 5, 6, 7].map(line => ['leading-indicator', line])
+    );
+    assertIncludes(issues[1].reason, 'directive');
+    assertIncludes(issues[2].reason, 'tag');
+    assertIncludes(issues[3].reason, 'alias');
+    assertIncludes(issues[3].reason, 'Markdown emphasis');
+    assertIncludes(issues[4].reason, 'multi-line');
+    assertIncludes(issues[6].reason, 'mapping key');
+    assert.equal(fixed, unindent`
+      command: "\`ls -l\` lists files"
+      progress: "%done"
+      exclamation: "! wow"
+      emphasis: "*very* important"
+      table: "| col | col |"
+      reply: "> quoted text"
+      question: "? maybe"
+    `);
+  });
+
+  it('does not flag indicator characters that are valid YAML syntax', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      %YAML 1.1
+      ---
+      base: &base
+        typed: !!str 123
+      copy: *base
+      list: [*base, *base]
+      block: |- # comment
+        text
+      folded: >2
+          text
+      ? complex key
+      : value
+    `);
+
+    assert.deepEqual(issues, []);
+  });
+
+  it('explains aliases that refer to undefined anchors', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      early: *later
+      later: &later value
+      note: [*important*, read this]
+    `);
+
+    assert.deepEqual(
+      issues.map(issue => [issue.rule, issue.mark.line, issue.mark.column]),
+      [['undefined-alias', 1, 7], ['undefined-alias', 3, 7], ['unused-anchor', 2, 7]]
+    );
+    assertIncludes(issues[0].reason, '"later"');
+    assertIncludes(issues[0].reason, 'defined before');
+    assertIncludes(issues[1].reason, 'Markdown emphasis');
+  });
+
+  it('suggests quoting Markdown emphasis outside of flow collections', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      note: *important*
+      list:
+        - *read* this
+    `);
+
+    assert.deepEqual(
+      issues.map(issue => [issue.rule, issue.mark.line]),
+      [['leading-indicator', 1], ['leading-indicator', 3]]
+    );
+    assertIncludes(issues[0].reason, 'Markdown emphasis');
+    assertIncludes(issues[1].reason, 'Markdown emphasis');
+  });
+
+  it('warns about anchors that are never used', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      used: &used value
+      unused: &unused value
+      copy: *used
+      ---
+      other_document: *unused
+    `);
+
+    assert.deepEqual(
+      issues.map(issue => [issue.rule, issue.level, issue.mark.line]),
+      [['undefined-alias', 'error', 5], ['unused-anchor', 'warning', 2]]
+    );
+    assertIncludes(issues[1].reason, '"&unused"');
+  });
+
+  it('errors for merge keys that do not merge mappings', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      defaults: &defaults 5
+      mapping: &mapping {a: 1}
+      valid:
+        <<: [*mapping, {b: 2}]
+      invalid:
+        <<: *defaults
+      invalid_list:
+        <<: [*mapping, 3]
+    `);
+
+    assert.deepEqual(
+      issues.map(issue => [issue.rule, issue.mark.line]),
+      [['invalid-merge', 6], ['invalid-merge', 8]]
+    );
+    assertIncludes(issues[0].reason, 'a number');
+    assertIncludes(issues[1].reason, 'a list');
+  });
+
+  it('reports where documents do not match a JSON Schema', function () {
+    const jsonSchema = {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: {
+        name: {type: 'string'},
+        tags: {type: 'array', items: {type: 'string'}},
+        level: {enum: ['low', 'high']}
+      }
+    };
+    const {issues} = yamlDoctor.check(unindent`
+      name: Valid
+      ---
+      tags:
+        - one
+        - 2
+      level: medium
+      extra: true
+    `, {jsonSchema});
+
+    assert.deepEqual(
+      issues.map(issue => [issue.rule, issue.level, issue.mark.line, issue.mark.column]),
+      [
+        ['schema-violation', 'error', 7, 0],
+        ['schema-violation', 'error', 3, 0],
+        ['schema-violation', 'error', 5, 4],
+        ['schema-violation', 'error', 6, 7]
+      ]
+    );
+    assertIncludes(issues[0].reason, '`extra`');
+    assertIncludes(issues[1].reason, "required property 'name'");
+    assertIncludes(issues[2].reason, '`tags[1]` should be string');
+    assertIncludes(issues[3].reason, '"low", "high"');
+  });
+
+  it('does not validate against a JSON Schema if there are syntax errors', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      name: value
+        nested: value
+    `, {jsonSchema: {type: 'object', required: ['other']}});
+
+    assert.deepEqual(issues.map(issue => issue.rule), ['syntax-error']);
+  });
+
+  it('throws for JSON Schema versions it cannot validate with', function () {
+    assert.throws(() => {
+      yamlDoctor.check('name: value\n', {
+        jsonSchema: {
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          type: 'object'
+        }
+      });
+    }, /not supported/);
+  });
+
+  it('validates against JSON Schema drafts 4 and 6', function () {
+    for (const draft of ['draft-04', 'draft-06']) {
+      const {issues} = yamlDoctor.check('name: value\n', {
+        jsonSchema: {
+          $schema: `http://json-schema.org/${draft}/schema#`,
+          type: 'object',
+          required: ['other']
+        }
+      });
+      assert.deepEqual(issues.map(issue => issue.rule), ['schema-violation'], draft);
+    }
+  });
+
+  it('validates against different JSON Schemas with the same `$id`', function () {
+    for (const required of ['one', 'two']) {
+      const {issues} = yamlDoctor.check('name: value\n', {
+        jsonSchema: {$id: 'https://example.com/schema.json', required: [required]}
+      });
+      assertIncludes(issues[0].reason, required);
+    }
+  });
+
+  it('loads a JSON Schema file again after failing to load it', async function () {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'yaml-doctor-'));
+    const schemaPath = path.join(directory, 'schema.yaml');
+    try {
+      await assert.rejects(
+        yamlDoctor.checkFile('test.yaml', 'name: value\n', {jsonSchema: schemaPath}),
+        /ENOENT/
+      );
+
+      fs.writeFileSync(schemaPath, 'required: [other]\n');
+      const {issues} = await yamlDoctor.checkFile('test.yaml', 'name: value\n', {jsonSchema: schemaPath});
+      assert.deepEqual(issues.map(issue => issue.rule), ['schema-violation']);
+    }
+    finally {
+      fs.rmSync(directory, {recursive: true, force: true});
+    }
+  });
+
+  it('reports things other parsers cannot read with the `compat` option', function () {
+    const source = unindent`
+      defaults: &defaults.base {a: 1}
+      list:
+      -	item
+      settings:
+        <<: *defaults.base
+    `;
+    const {issues} = yamlDoctor.check(source, {compat: ['psych', 'yaml-1.2-core']});
+
+    assert.deepEqual(
+      issues.map(issue => [issue.rule, issue.mark.line]),
+      [
+        ['parser-compat', 1],
+        ['parser-compat', 3],
+        ['parser-compat', 5],
+        ['parser-compat', 5],
+        ['parser-compat', 5]
+      ]
+    );
+    assertIncludes(issues[0].reason, 'so Psych (Ruby) can\'t parse it');
+    assertIncludes(issues[1].reason, 'tabs');
+    assertIncludes(issues[3].reason, 'aliases: true');
+    assertIncludes(issues[4].reason, 'YAML 1.2 (core schema) parsers read it as an ordinary key');
+
+    assert.deepEqual(yamlDoctor.check(source).issues, []);
+  });
+
+  it('checks unquoted values against the YAML version of each `compat` parser', function () {
+    const source = unindent`
+      norway: no
+      mode: 0755
+    `;
+    const {issues} = yamlDoctor.check(source, {compat: 'yaml-1.2-core'});
+    assert.deepEqual(issues.map(issue => issue.rule), ['implicit-type']);
+    assertIncludes(issues[0].reason, 'the number 755 in YAML 1.2 (core schema) parsers');
+
+    const {issues: pyyamlIssues} = yamlDoctor.check(source, {compat: ['pyyaml', 'go-yaml']});
+    assert.deepEqual(pyyamlIssues.map(issue => issue.rule), ['implicit-boolean', 'implicit-type']);
+    assertIncludes(pyyamlIssues[0].reason, 'a boolean in PyYAML and go-yaml,');
+    assertIncludes(pyyamlIssues[1].reason, 'the octal number 493 in PyYAML and go-yaml,');
+
+    const {issues: goIssues} = yamlDoctor.check('version: 1.10\nzip: 01234\n', {compat: 'go-yaml'});
+    assert.deepEqual(goIssues.map(issue => [issue.rule, issue.mark.line]), [['implicit-type', 0], ['implicit-type', 1]]);
+  });
+
+  it('checks unquoted values against the booleans each `compat` parser supports', function () {
+    const source = unindent`
+      - y
+      - N
+      - yes
+      - Off
+      - oN
+    `;
+    const booleanLines = compat => yamlDoctor.check(source, {compat}).issues
+      .filter(issue => issue.rule === 'implicit-boolean')
+      .map(issue => issue.mark.line);
+
+    assert.deepEqual(booleanLines('pyyaml'), [3, 4]);
+    assert.deepEqual(booleanLines('psych'), [3, 4, 5]);
+    assert.deepEqual(booleanLines('go-yaml'), [1, 2, 3, 4]);
+    assert.deepEqual(booleanLines('yaml-1.2-core'), []);
+
+    const {issues} = yamlDoctor.check(source);
+    assertIncludes(issues[0].reason, '"y" is a boolean in YAML 1.1 and parsers like go-yaml,');
+    assertIncludes(issues[2].reason, 'parsers like PyYAML, Psych (Ruby) and go-yaml,');
+  });
+
+  it('can fix tabs that other parsers cannot read with the `compat` option', function () {
+    const {fixed} = yamlDoctor.check('key:\tvalue\n', {compat: 'pyyaml', fix: true});
+
+    assert.equal(fixed, 'key: value\n');
+  });
+
   it('accepts comments after quoted strings', function () {
     const {issues} = yamlDoctor.check('some_key: "some value" # some comment');
 
@@ -234,6 +702,27 @@ describe('checker', function () {
     assert.equal(issues.length, 6, `There should be six issues in [${issues.join(',')}]`);
   });
 
+  it('explains and fixes invalid escape sequences', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      short_hex: "\\u22 and \\x9 and \\U1F600"
+      no_hex: "\\uX"
+      single_quote: "Didn\\'t"
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => issue.reason), [
+      'Invalid escape sequence: "\\u22" (a \\u escape needs 4 hex digits, found 2)',
+      'Invalid escape sequence: "\\x9" (a \\x escape needs 2 hex digits, found 1)',
+      'Invalid escape sequence: "\\U1F600" (a \\U escape needs 8 hex digits, found 5)',
+      'Invalid escape sequence: "\\u" (a \\u escape needs 4 hex digits, found none)',
+      'Invalid escape sequence: "\\\'" (single quotes don\'t need to be escaped in double-quoted strings)'
+    ]);
+    assert.equal(fixed, unindent`
+      short_hex: "\\u0022 and \\x09 and \\U0001F600"
+      no_hex: "uX"
+      single_quote: "Didn't"
+    `);
+  });
+
   it('correctly locates invalid escapes when unescaped quotes are involved', function () {
     const {issues} = yamlDoctor.check(unindent`
       bad_escapes: "Didn\\'t you say "please?""
@@ -296,6 +785,54 @@ describe('checker', function () {
     `);
   });
 
+  it('ends an unended double-quote string before a document marker', function () {
+    const {fixed} = yamlDoctor.check(unindent`
+      a: "foo
+      ---
+      b: "bar"
+      ...
+      %YAML 1.1
+      ---
+      c: "baz
+      ...
+    `, {fix: true});
+
+    assert.equal(fixed, unindent`
+      a: "foo"
+      ---
+      b: "bar"
+      ...
+      %YAML 1.1
+      ---
+      c: "baz"
+      ...
+    `);
+  });
+
+  it('does not end a double-quote string at a comment-like line that it continues past', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      parent:
+        key: "text
+        # still text"
+      other: "text
+      # a comment
+      last: value
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.mark.line]), [
+      ['under-indented', 3],
+      ['unterminated-string', 4]
+    ]);
+    assert.equal(fixed, unindent`
+      parent:
+        key: "text
+          # still text"
+      other: "text"
+      # a comment
+      last: value
+    `);
+  });
+
   it('errors on unprintable control characters', function () {
     // Using escapes instead of the actual chars below so they are visible.
     // Note JS will parse the escapes, so the YAML Doctor will see them as the
@@ -360,6 +897,130 @@ describe('checker', function () {
     `);
   });
 
+  it('fixes unindented lines in scalars using the document\'s indentation', function () {
+    const {fixed} = yamlDoctor.check(unindent`
+      some_key:
+          indented_key: "some multiline value that
+      is unindented"
+          other_key:
+              nested: value
+      ---
+      some_key:
+        indented_key: "some multiline value that
+      is unindented"
+    `, {fix: true});
+
+    assert.equal(fixed, unindent`
+      some_key:
+          indented_key: "some multiline value that
+              is unindented"
+          other_key:
+              nested: value
+      ---
+      some_key:
+        indented_key: "some multiline value that
+          is unindented"
+    `);
+  });
+
+  it('fixes unindented lines in scalars using the `indentation` option', function () {
+    const yamlText = unindent`
+      some_key:
+        indented_key: "some multiline value that
+      is unindented"
+    `;
+
+    assert.equal(yamlDoctor.check(yamlText, {fix: true, indentation: 4}).fixed, unindent`
+      some_key:
+        indented_key: "some multiline value that
+            is unindented"
+    `);
+  });
+
+  it('fixes unindented lines in tab-indented documents with spaces', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      some_key:
+      	indented_key: "some multiline value that
+      is unindented"
+      	other_key: value
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line]), [
+      ['mixed-indentation', 'fixed', 2],
+      ['mixed-indentation', 'fixed', 4],
+      ['under-indented', 'fixed', 3]
+    ]);
+    assert.equal(fixed, unindent`
+      some_key:
+        indented_key: "some multiline value that
+          is unindented"
+        other_key: value
+    `);
+  });
+
+  it('can fix unindented lines in flow collections', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      some_key:
+        tags: [one, "two
+      three", four,
+      five]
+        mapping: {a: 1,
+      b: 2
+      }
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level]), [
+      ['under-indented', 'fixed'],
+      ['under-indented', 'fixed'],
+      ['under-indented', 'fixed'],
+      ['under-indented', 'fixed']
+    ]);
+    assert.equal(fixed, unindent`
+      some_key:
+        tags: [one, "two
+          three", four,
+          five]
+        mapping: {a: 1,
+          b: 2
+          }
+    `);
+  });
+
+  it('can fix unindented lines in flow collections that start with a value that needs quoting', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      root:
+        mapping: {x: 1,
+      y: 2}
+        tags: [one, two,
+      no]
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line]), [
+      ['under-indented', 'fixed', 3],
+      ['implicit-boolean', 'fixed', 3],
+      ['under-indented', 'fixed', 5],
+      ['implicit-boolean', 'fixed', 5]
+    ]);
+    assert.equal(fixed, unindent`
+      root:
+        mapping: {x: 1,
+          "y": 2}
+        tags: [one, two,
+          "no"]
+    `);
+  });
+
+  it('does not indent the end of the file after a flow collection that is never closed', function () {
+    const {issues, fixed} = yamlDoctor.check('tags: [one,\ntwo\n', {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line]), [
+      ['under-indented', 'fixed', 1],
+      ['under-indented', 'warning', 2],
+      ['syntax-error', 'error', 2]
+    ]);
+    assert.equal(fixed, 'tags: [one,\n  two\n');
+  });
+
   it('can fix unindented lines in scalars when mixed with other scalar errors', function () {
     const {fixed} = yamlDoctor.check(unindent`
       some_key:
@@ -375,4 +1036,490 @@ describe('checker', function () {
           which really is not cool."
     `);
   });
+
+  it('records the edits that fixed each issue', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      some_key: 'it's quoted'
+      another_key: @at sign value
+    `, {fix: true});
+
+    assert.equal(issues.length, 2, `There should be two issues in [${issues.join(',')}]`);
+    assert.deepEqual(issues[0].edits, [{start: 14, end: 14, text: "'"}]);
+    assert.deepEqual(issues[1].edits, [{start: 38, end: 52, text: '"@at sign value"'}]);
+  });
+
+  it('identifies the rule that found each issue', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      invalid_character: text\u0008
+      unescaped_quote: 'it's'
+      invalid_escape: "\\z"
+      unquoted_template: {{ variable }}
+      leading_at_sign: @at sign
+      entity_anchor: &copy; 2019
+      indented:
+        key: "multi-line
+      text"
+      leading_bracket: [Something] blah blah
+    `);
+
+    assert.deepEqual(issues.map(issue => issue.rule), [
+      'invalid-character',
+      'unescaped-quote',
+      'invalid-escape',
+      'unquoted-template',
+      'leading-at-sign',
+      'entity-anchor',
+      'under-indented',
+      'leading-bracket'
+    ]);
+  });
+
+  it('identifies the rule for mixed space/tab indentation', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      apps_sidebar_sections:
+        - section_label: "Development"
+         \tlist: values
+    `);
+
+    assert.equal(issues[0].rule, 'mixed-indentation');
+  });
+
+  it('changes the level of issues with the `rules` option', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      some_key: &copy; 2019 Asana, Inc.
+      another_key: 'it's quoted'
+    `, {rules: {'entity-anchor': 'error', 'unescaped-quote': 'warning'}});
+
+    assert.equal(issues.length, 2, `There should be two issues in [${issues.join(',')}]`);
+    assert.equal(issues[0].rule, 'entity-anchor');
+    assert.equal(issues[0].level, 'error');
+    assert.equal(issues[1].rule, 'unescaped-quote');
+    assert.equal(issues[1].level, 'warning');
+  });
+
+  it('does not report or fix issues for rules that are off', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      some_key: {{ not_a_variable }}
+      another_key: 'it's quoted'
+    `, {fix: true, rules: {'unquoted-template': 'off'}});
+
+    assert.equal(issues.length, 1, `There should be one issue in [${issues.join(',')}]`);
+    assert.equal(issues[0].rule, 'unescaped-quote');
+    assert.equal(fixed, unindent`
+      some_key: {{ not_a_variable }}
+      another_key: 'it''s quoted'
+    `);
+  });
+
+  it('reports syntax errors that rules which are off would have explained', function () {
+    const atSign = 'some_key: @at sign value\n';
+    const {issues, fixed} = yamlDoctor.check(atSign, {fix: true, rules: {'leading-at-sign': 'off'}});
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.mark.line]), [['syntax-error', 0]]);
+    assert.equal(fixed, atSign);
+
+    const quote = yamlDoctor.check("some_key: 'it's quoted'\n", {rules: {'unescaped-quote': 'off'}});
+    assert.deepEqual(quote.issues.map(issue => issue.rule), ['syntax-error']);
+
+    const backtick = yamlDoctor.check(unindent`
+      # yaml-doctor-disable-next-line leading-indicator
+      some_key: \`code\` value
+    `);
+    assert.deepEqual(backtick.issues.map(issue => [issue.rule, issue.mark.line]), [['syntax-error', 2]]);
+  });
+
+  it('only hides syntax errors that suppressed rules would have explained with a directive for `syntax-error`', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      a: 1 # yaml-doctor-disable-next-line
+      b: @bar
+      c: @baz
+    `, {fix: true});
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.mark.line]), [['syntax-error', 2]]);
+
+    const named = yamlDoctor.check(unindent`
+      a: 1 # yaml-doctor-disable-next-line leading-at-sign, syntax-error
+      b: @bar
+    `);
+    assert.deepEqual(named.issues, []);
+  });
+
+  it('does not report or fix issues on lines after a disable-next-line comment', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      # yaml-doctor-disable-next-line entity-anchor, unquoted-template
+      some_key: &nbsp; some text
+      # yaml-doctor-disable-next-line
+      another_key: {{ not_a_variable }}
+      last_key: {{ not_a_variable }}
+    `, {fix: true});
+
+    assert.equal(issues.length, 1, `There should be one issue in [${issues.join(',')}]`);
+    assert.equal(issues[0].rule, 'unquoted-template');
+    assert.equal(issues[0].mark.line, 5);
+    assert.equal(fixed, unindent`
+      # yaml-doctor-disable-next-line entity-anchor, unquoted-template
+      some_key: &nbsp; some text
+      # yaml-doctor-disable-next-line
+      another_key: {{ not_a_variable }}
+      last_key: '{{ not_a_variable }}'
+    `);
+  });
+
+  it('does not report or fix issues between disable and enable comments', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      # yaml-doctor-disable unquoted-template
+      a: {{ one }}
+      b: 'it's'
+      # yaml-doctor-enable unquoted-template
+      c: {{ two }}
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.mark.line]), [
+      ['unescaped-quote', 3],
+      ['unquoted-template', 5]
+    ]);
+    assert.equal(fixed, unindent`
+      # yaml-doctor-disable unquoted-template
+      a: {{ one }}
+      b: 'it''s'
+      # yaml-doctor-enable unquoted-template
+      c: '{{ two }}'
+    `);
+  });
+
+  it('can report disable comments that do not suppress anything', function () {
+    const yamlText = unindent`
+      # yaml-doctor-disable-next-line entity-anchor
+      some_key: &nbsp; some text
+      # yaml-doctor-disable-next-line entity-anchor
+      another_key: some text
+    `;
+
+    assert.deepEqual(yamlDoctor.check(yamlText).issues, []);
+
+    const {issues} = yamlDoctor.check(yamlText, {reportUnusedDirectives: true});
+    assert.equal(issues.length, 1, `There should be one issue in [${issues.join(',')}]`);
+    assert.equal(issues[0].rule, 'unused-directive');
+    assert.equal(issues[0].level, 'warning');
+    assert.equal(issues[0].mark.line, 3);
+    assertIncludes(issues[0].reason, 'entity-anchor');
+  });
+
+  it('does not apply fixes that would break the YAML', function () {
+    // With `unterminated-string` off, escaping the quote after `x` leaves a
+    // string with no end, where the original parsed just fine.
+    const yamlText = unindent`
+      a: "x" y: z
+    `;
+    const {issues, fixed} = yamlDoctor.check(yamlText, {
+      fix: true,
+      rules: {'unterminated-string': 'off'}
+    });
+
+    assert.equal(fixed, yamlText);
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level]), [
+      ['unescaped-quote', 'error'],
+      ['fix-verification', 'error']
+    ]);
+    assertIncludes(issues[1].reason, 'Fixes were not applied');
+  });
+
+  it('still applies the fixes that do not break the YAML', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      a: "x" y: z
+      b: yes
+    `, {
+      fix: true,
+      rules: {'unterminated-string': 'off'}
+    });
+
+    assert.equal(fixed, unindent`
+      a: "x" y: z
+      b: "yes"
+    `);
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line]), [
+      ['unescaped-quote', 'error', 1],
+      ['implicit-boolean', 'fixed', 2],
+      ['fix-verification', 'error', 1]
+    ]);
+    assertIncludes(issues[2].reason, 'Fixes were not applied to the unescaped-quote issue here');
+  });
+
+  it('verifies fixes in files with invalid characters', function () {
+    // The original doesn't parse as-is, but it does once the invalid
+    // character is removed, so it's still possible to tell the fix broke it.
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      # comment\u000B
+      a: "x" y: z
+    `, {
+      fix: true,
+      rules: {'unterminated-string': 'off'}
+    });
+
+    assert.equal(fixed, unindent`
+      # comment
+      a: "x" y: z
+    `);
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level, issue.mark.line]), [
+      ['invalid-character', 'fixed', 1],
+      ['unescaped-quote', 'error', 2],
+      ['fix-verification', 'error', 2]
+    ]);
+  });
+
+  it('can skip verifying fixes', function () {
+    const {issues, fixed} = yamlDoctor.check('a: "x" y: z\n', {
+      fix: true,
+      rules: {'unterminated-string': 'off', 'fix-verification': 'off'}
+    });
+
+    assert.equal(fixed, 'a: "x\\" y: z\n');
+    assert.deepEqual(issues.map(issue => issue.rule), ['unescaped-quote']);
+  });
+
+  it('errors for duplicate keys with the location of the first one', function () {
+    const yamlText = unindent`
+      parent:
+        a: one
+        b: two
+        a: three
+    `;
+    const {issues, fixed} = yamlDoctor.check(yamlText, {fix: true});
+
+    assert.equal(fixed, yamlText, 'Duplicate keys should not be fixed by default');
+    assert.equal(issues.length, 1, `There should be one issue in [${issues.join(',')}]`);
+    assert.equal(issues[0].rule, 'duplicate-key');
+    assert.equal(issues[0].level, 'error');
+    assert.equal(issues[0].mark.line, 4);
+    assert.equal(issues[0].mark.column, 2);
+    assertIncludes(issues[0].reason, 'first defined on line 3, column 3');
+  });
+
+  it('does not treat separate mappings in a sequence as duplicate keys', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      - a: 1
+      - a: 2
+      - [b: 1, b: 2]
+    `);
+
+    assert.deepEqual(issues, []);
+  });
+
+  it('can fix duplicate keys by keeping the last or first value', function () {
+    const yamlText = unindent`
+      a: 1
+      b:
+        c: 2
+      a: |
+        three
+      d: 4
+    `;
+
+    const keepLast = yamlDoctor.check(yamlText, {fix: true, keepDuplicateKey: 'last'});
+    assert.equal(keepLast.issues[0].level, 'fixed');
+    assert.equal(keepLast.fixed, unindent`
+      b:
+        c: 2
+      a: |
+        three
+      d: 4
+    `);
+
+    const keepFirst = yamlDoctor.check(yamlText, {fix: true, keepDuplicateKey: 'first'});
+    assert.equal(keepFirst.issues[0].level, 'fixed');
+    assert.equal(keepFirst.fixed, unindent`
+      a: 1
+      b:
+        c: 2
+      d: 4
+    `);
+  });
+
+  it('warns for unquoted values that are booleans in YAML 1.1', function () {
+    const {issues} = yamlDoctor.check(unindent`
+      countries: [se, no, dk]
+      quoted: "yes"
+      tagged: !!str off
+      y: Yes
+      list:
+        - on
+        - none
+    `);
+
+    assert.deepEqual(
+      issues.map(issue => [issue.rule, issue.level, issue.mark.line, issue.mark.column]),
+      [
+        ['implicit-boolean', 'warning', 1, 16],
+        ['implicit-boolean', 'warning', 4, 0],
+        ['implicit-boolean', 'warning', 4, 3],
+        ['implicit-boolean', 'warning', 6, 4]
+      ]
+    );
+    assertIncludes(issues[0].reason, 'quote it: "no"');
+  });
+
+  it('can fix unquoted values that are booleans in YAML 1.1', function () {
+    const {fixed} = yamlDoctor.check(unindent`
+      countries: [se, no, dk]
+      y: Yes
+      list:
+        - on # comment
+    `, {fix: true});
+
+    assert.equal(fixed, unindent`
+      countries: [se, "no", dk]
+      "y": "Yes"
+      list:
+        - "on" # comment
+    `);
+  });
+
+  it('warns for unquoted values that lose information as numbers or dates', function () {
+    const yamlText = unindent`
+      version: 1.10
+      zip: 01234
+      time: 12:30:45
+      date: 2024-01-05
+      fine: [1.5, 0x1F, "1.10"]
+    `;
+
+    const yaml11 = yamlDoctor.check(yamlText);
+    assert.deepEqual(
+      yaml11.issues.map(issue => [issue.rule, issue.level, issue.mark.line]),
+      [
+        ['implicit-type', 'warning', 1],
+        ['implicit-type', 'warning', 2],
+        ['implicit-type', 'warning', 3],
+        ['implicit-type', 'warning', 4]
+      ]
+    );
+    assertIncludes(yaml11.issues[0].reason, 'the number 1.1 in YAML 1.1');
+    assertIncludes(yaml11.issues[1].reason, 'the octal number 668');
+
+    const yaml12 = yamlDoctor.check(yamlText, {yamlVersion: '1.2'});
+    assert.deepEqual(yaml12.issues.map(issue => issue.mark.line), [1, 2]);
+    assertIncludes(yaml12.issues[1].reason, 'the number 1234 in YAML 1.2');
+  });
+
+  it('only warns about implicit booleans for YAML 1.1', function () {
+    const {issues} = yamlDoctor.check('country: no\n', {yamlVersion: '1.2'});
+    assert.deepEqual(issues, []);
+  });
+
+  it('can fix unquoted values that lose information as numbers or dates', function () {
+    const {fixed} = yamlDoctor.check(unindent`
+      version: 1.10
+      ids: [007, 12345678901234567890]
+    `, {fix: true});
+
+    assert.equal(fixed, unindent`
+      version: "1.10"
+      ids: ["007", "12345678901234567890"]
+    `);
+  });
+
+  it('reports one error for single-quoted strings that never end', function () {
+    const yamlText = unindent`
+      parent:
+        key: 'Something and some more stuff
+      next_key: 'Whatever'
+    `;
+    const {issues} = yamlDoctor.check(yamlText);
+
+    assert.equal(issues.length, 1, `There should be one issue in [${issues.join(',')}]`);
+    assert.equal(issues[0].rule, 'unterminated-string');
+    assertIncludes(issues[0].reason, 'never ends');
+    assert.equal(issues[0].mark.line, 2);
+    assert.equal(issues[0].mark.column, 37);
+
+    const {fixed} = yamlDoctor.check(yamlText, {fix: true});
+    assert.equal(fixed, unindent`
+      parent:
+        key: 'Something and some more stuff'
+      next_key: 'Whatever'
+    `);
+  });
+
+  it('can fix single-quoted strings that start with a quoted phrase', function () {
+    const {fixed} = yamlDoctor.check(unindent`
+      key: 'Something' and some more stuff
+      next_key: 'Whatever'
+    `, {fix: true});
+
+    assert.equal(fixed, unindent`
+      key: "'Something' and some more stuff"
+      next_key: 'Whatever'
+    `);
+  });
+
+  it('can fix single-quoted strings that start and end with quoted phrases', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      key: 'Hello' said the 'cat'
+      apostrophe: 'it's fine'
+    `, {fix: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level]), [
+      ['unescaped-quote', 'fixed'],
+      ['unescaped-quote', 'fixed'],
+      ['unescaped-quote', 'fixed']
+    ]);
+    assert.equal(fixed, unindent`
+      key: "'Hello' said the 'cat'"
+      apostrophe: 'it''s fine'
+    `);
+  });
+
+  it('can fix double-quoted strings that start and end with quoted phrases', function () {
+    const {fixed} = yamlDoctor.check(unindent`
+      key: "Hello" said the "cat"
+    `, {fix: true});
+
+    assert.equal(fixed, unindent`
+      key: "\\"Hello\\" said the \\"cat\\""
+    `);
+  });
+
+  it('escapes invalid characters in double-quoted and plain scalars when `escapeInvalidCharacters` is true', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      quoted: "a\u000Bb"
+      plain: a\u000Bb "c"
+      single: 'a\u000Bb'
+      block: |
+        a\u000Bb
+    `, {fix: true, escapeInvalidCharacters: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level]), [
+      ['invalid-character', 'fixed'],
+      ['invalid-character', 'fixed'],
+      ['invalid-character', 'fixed'],
+      ['invalid-character', 'fixed']
+    ]);
+    assert.equal(fixed, unindent`
+      quoted: "a\\x0Bb"
+      plain: "a\\x0Bb \\"c\\""
+      single: 'ab'
+      block: |
+        ab
+    `);
+  });
+
+  it('escapes invalid characters after others were removed', function () {
+    const {issues, fixed} = yamlDoctor.check(unindent`
+      # comment\u000B
+      single: 'a\u000Bb'
+      plain: a\u000Bb
+      flow: [a\u000Bb, c]
+    `, {fix: true, escapeInvalidCharacters: true});
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.level]), [
+      ['invalid-character', 'fixed'],
+      ['invalid-character', 'fixed'],
+      ['invalid-character', 'fixed'],
+      ['invalid-character', 'fixed']
+    ]);
+    assert.equal(fixed, unindent`
+      # comment
+      single: 'ab'
+      plain: "a\\x0Bb"
+      flow: ["a\\x0Bb", c]
+    `);
+  });
 });
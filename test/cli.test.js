@@ -7,12 +7,16 @@
 
 const assert = require('assert');
 const {assertIncludes} = require('./support/assertions');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const spawn = require('child_process').spawn;
+const unindent = require('./support/unindent');
 
 // Run the CLI command with a list of arguments. This is a relatively light
-// promise wrapper around `child_process.spawn()`.
-function run (cliArgs, options) {
+// promise wrapper around `child_process.spawn()`. If `options.input` is set,
+// it is written to the command's STDIN.
+function run (cliArgs, {input = null, ...options} = {}) {
   return new Promise((resolve, reject) => {
     const command = path.resolve(__dirname, '..', 'bin', 'yaml-doctor');
 
@@ -40,6 +44,10 @@ function run (cliArgs, options) {
     child.stderr.on('data', data => {
       stderr += data;
     });
+
+    if (input != null) {
+      child.stdin.end(input);
+    }
   });
 }
 
@@ -109,4 +117,209 @@ describe('YAML Doctor CLI', function () {
     assert.equal(exitCode, 0, 'Should have exit code of `0`.');
     assertIncludes(stdout, '0 errors, 0 warnings, 0 fixed in 1 file');
   });
+
+  it('should print results as JSON with `--format json`', async function () {
+    const {exitCode, stdout} = await run(['--format', 'json', 'fixtures/some-file.yaml']);
+
+    assert.equal(exitCode, 1, 'Should have exit code of `1` for errors.');
+    const output = JSON.parse(stdout);
+    assert.equal(output.files.length, 1);
+    assertIncludes(output.files[0].filePath, 'fixtures/some-file.yaml');
+    assert.deepEqual(output.files[0].issues[0], {
+      rule: 'unescaped-quote',
+      line: 1,
+      column: 14,
+      level: 'error',
+      reason: 'unescaped quote in quoted string'
+    });
+    assert.equal(output.files[0].issues[1].level, 'warning');
+    assert.deepEqual(output.summary, {
+      files: 1,
+      errors: 1,
+      warnings: 1,
+      fixed: 0,
+      unreadablePaths: []
+    });
+  });
+
+  it('should print a diff instead of fixing files with `--fix --dry-run`', async function () {
+    const filePath = path.join(__dirname, 'fixtures', 'some-file.yaml');
+    const original = fs.readFileSync(filePath, 'utf8');
+    const {exitCode, stdout} = await run(['--fix', '--dry-run', 'fixtures/some-file.yaml']);
+
+    assert.equal(exitCode, 0, 'Should have exit code of `0`.');
+    assert.equal(fs.readFileSync(filePath, 'utf8'), original, 'The file should not have changed');
+    assertIncludes(stdout, "+some_key: 'It''s got a quoted value with an unescaped quote'");
+    assertIncludes(stdout, '@@ -1,5 +1,5 @@ unescaped-quote, under-indented');
+    assertIncludes(stdout, '0 errors, 0 warnings, 2 fixed in 1 file (dry run, no files were changed)');
+  });
+
+  it('should reject `--dry-run` without `--fix` or with a structured format', async function () {
+    const withoutFix = await run(['--dry-run', 'fixtures/some-file.yaml']);
+    assert.equal(withoutFix.exitCode, 1, 'Should have exit code of `1`.');
+    assertIncludes(withoutFix.stderr, '--dry-run can only be used with --fix');
+
+    const withJson = await run(['--fix', '--dry-run', '--format', 'json', 'fixtures/some-file.yaml']);
+    assert.equal(withJson.exitCode, 1, 'Should have exit code of `1`.');
+    assertIncludes(withJson.stderr, '--dry-run can only be used with --format text');
+  });
+
+  describe('with --stdin', function () {
+    it('checks YAML from STDIN', async function () {
+      const {exitCode, stdout} = await run(['--stdin'], {
+        input: "some_key: 'it's quoted'\n"
+      });
+
+      assert.equal(exitCode, 1, 'Should have exit code of `1` for errors.');
+      assertIncludes(stdout, '<stdin>');
+      assertIncludes(stdout, 'unescaped quote');
+      assertIncludes(stdout, '1 error, 0 warnings, 0 fixed in 1 file');
+    });
+
+    it('uses --stdin-filename in results', async function () {
+      const {stdout} = await run(['--stdin', '--stdin-filename', 'some/file.yaml'], {
+        input: "some_key: 'it's quoted'\n"
+      });
+
+      assertIncludes(stdout, 'some/file.yaml');
+    });
+
+    it('writes the fixed document to STDOUT and results to STDERR with --fix', async function () {
+      const {exitCode, stdout, stderr} = await run(['--stdin', '--fix'], {
+        input: "some_key: 'it's quoted'\nanother_key: fine\n"
+      });
+
+      assert.equal(exitCode, 0, 'Should have exit code of `0`.');
+      assert.equal(stdout, "some_key: 'it''s quoted'\nanother_key: fine\n");
+      assertIncludes(stderr, '0 errors, 0 warnings, 1 fixed in 1 file');
+    });
+
+    it('writes the document to STDOUT with --fix even if there was nothing to fix', async function () {
+      const {stdout} = await run(['--stdin', '--fix'], {
+        input: 'some_key: fine\n'
+      });
+
+      assert.equal(stdout, 'some_key: fine\n');
+    });
+
+    it('checks front-matter if --stdin-filename is a Markdown file', async function () {
+      const {stdout} = await run(['--stdin', '--stdin-filename', 'page.md', '--fix'], {
+        input: '---\nsome_key: @at sign\n---\n# Some Markdown\n\nsome_key: @at sign\n'
+      });
+
+      assert.equal(stdout, '---\nsome_key: "@at sign"\n---\n# Some Markdown\n\nsome_key: @at sign\n');
+    });
+
+    it('fails if paths are also provided', async function () {
+      const {exitCode, stderr} = await run(['--stdin', 'fixtures'], {input: ''});
+
+      assert.equal(exitCode, 1, 'Should have exit code of `1`.');
+      assertIncludes(stderr, '--stdin');
+    });
+  });
+
+  describe('with a configuration file', function () {
+    let directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'yaml-doctor-'));
+      fs.mkdirSync(path.join(directory, 'content'));
+      fs.mkdirSync(path.join(directory, 'vendor'));
+      fs.copyFileSync(
+        path.join(__dirname, 'fixtures', 'some-file.yaml'),
+        path.join(directory, 'content', 'some-file.yaml')
+      );
+      fs.copyFileSync(
+        path.join(__dirname, 'fixtures', 'some-file.yaml'),
+        path.join(directory, 'vendor', 'some-file.yaml')
+      );
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    it('uses the nearest configuration file', async function () {
+      fs.writeFileSync(path.join(directory, '.yamldoctorrc'), JSON.stringify({
+        include: ['content'],
+        rules: {'unescaped-quote': 'warning', 'under-indented': 'off'}
+      }));
+
+      const {exitCode, stdout} = await run([], {cwd: path.join(directory, 'content')});
+
+      assert.equal(exitCode, 0, 'Should have exit code of `0`.');
+      assertIncludes(stdout, '0 errors, 1 warning, 0 fixed in 1 file');
+    });
+
+    it('skips excluded files', async function () {
+      fs.writeFileSync(path.join(directory, '.yamldoctorrc'), 'exclude: [vendor]');
+
+      const {stdout} = await run(['.'], {cwd: directory});
+
+      assertIncludes(stdout, '1 error, 1 warning, 0 fixed in 1 file');
+    });
+
+    it('uses a configuration file given with `--config`', async function () {
+      const configPath = path.join(directory, 'custom.yaml');
+      fs.writeFileSync(configPath, 'rules: {unescaped-quote: warning}');
+
+      const {exitCode, stdout} = await run(['--config', configPath, 'content'], {cwd: directory});
+
+      assert.equal(exitCode, 0, 'Should have exit code of `0`.');
+      assertIncludes(stdout, '0 errors, 2 warnings, 0 fixed in 1 file');
+    });
+
+    it('writes the fixed document to STDOUT with --stdin if the configuration file turns on `fix`', async function () {
+      fs.writeFileSync(path.join(directory, '.yamldoctorrc'), 'fix: true');
+
+      const {exitCode, stdout, stderr} = await run(['--stdin'], {
+        cwd: directory,
+        input: "some_key: 'it's quoted'\n"
+      });
+
+      assert.equal(exitCode, 0, 'Should have exit code of `0`.');
+      assert.equal(stdout, "some_key: 'it''s quoted'\n");
+      assertIncludes(stderr, '0 errors, 0 warnings, 1 fixed in 1 file');
+    });
+
+    it('allows --dry-run if the configuration file turns on `fix`', async function () {
+      fs.writeFileSync(path.join(directory, '.yamldoctorrc'), 'fix: true');
+      const filePath = path.join(directory, 'content', 'some-file.yaml');
+      const original = fs.readFileSync(filePath, 'utf8');
+
+      const {exitCode, stdout} = await run(['--dry-run', 'content'], {cwd: directory});
+
+      assert.equal(exitCode, 0, 'Should have exit code of `0`.');
+      assert.equal(fs.readFileSync(filePath, 'utf8'), original, 'The file should not have changed');
+      assertIncludes(stdout, '0 errors, 0 warnings, 2 fixed in 1 file (dry run, no files were changed)');
+    });
+
+    it('validates files against JSON Schemas set in overrides', async function () {
+      fs.mkdirSync(path.join(directory, 'schemas'));
+      fs.writeFileSync(path.join(directory, 'schemas', 'content.yaml'), unindent`
+        type: object
+        properties:
+          another_key: {type: number}
+      `);
+      fs.writeFileSync(path.join(directory, '.yamldoctorrc'), unindent`
+        overrides:
+          - files: [content]
+            jsonSchema: schemas/content.yaml
+      `);
+
+      const {stdout} = await run(['.'], {cwd: directory});
+
+      assertIncludes(stdout, '`another_key` should be number');
+      assertIncludes(stdout, '3 errors, 2 warnings, 0 fixed in 3 files');
+    });
+
+    it('fails for invalid configuration files', async function () {
+      fs.writeFileSync(path.join(directory, '.yamldoctorrc'), 'rules: {not-a-rule: off}');
+
+      const {exitCode, stderr} = await run(['content'], {cwd: directory});
+
+      assert.equal(exitCode, 1, 'Should have exit code of `1`.');
+      assertIncludes(stderr, 'not-a-rule');
+    });
+  });
 });
@@ -0,0 +1,136 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+'use strict';
+
+const assert = require('assert');
+const {assertIncludes} = require('./support/assertions');
+const Config = require('../lib/config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const unindent = require('./support/unindent');
+
+describe('Config', function () {
+  let directory;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'yaml-doctor-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, {recursive: true, force: true});
+  });
+
+  it('finds the nearest configuration file in a parent directory', async function () {
+    const configPath = path.join(directory, '.yamldoctorrc');
+    fs.writeFileSync(configPath, '{"rules": {"entity-anchor": "off"}}');
+    const subdirectory = path.join(directory, 'a', 'b');
+    fs.mkdirSync(subdirectory, {recursive: true});
+
+    assert.equal(await Config.find(subdirectory), configPath);
+  });
+
+  it('loads YAML configuration files', async function () {
+    fs.writeFileSync(path.join(directory, '.yamldoctorrc.yaml'), unindent`
+      rules:
+        entity-anchor: off
+        under-indented: error
+      fix: true
+    `);
+
+    const config = await Config.loadNearest(directory);
+    assert.deepEqual(config.optionsForFile(path.join(directory, 'some.yaml')), {
+      rules: {'entity-anchor': 'off', 'under-indented': 'error'},
+      fix: true
+    });
+  });
+
+  it('returns an empty configuration if there is no configuration file', async function () {
+    const config = await Config.loadNearest(directory);
+    assert.deepEqual(config.optionsForFile(path.join(directory, 'some.yaml')), {rules: {}});
+    assert.equal(config.isExcluded(path.join(directory, 'some.yaml')), false);
+  });
+
+  it('applies overrides that match a file', function () {
+    const config = new Config({
+      rules: {'entity-anchor': 'off', 'under-indented': 'error'},
+      overrides: [{
+        files: ['translations/**'],
+        rules: {'under-indented': 'warning'},
+        removeInvalidCharacters: false
+      }]
+    }, directory);
+
+    assert.deepEqual(config.optionsForFile(path.join(directory, 'translations', 'de', 'a.yaml')), {
+      rules: {'entity-anchor': 'off', 'under-indented': 'warning'},
+      removeInvalidCharacters: false
+    });
+    assert.deepEqual(config.optionsForFile(path.join(directory, 'ci', 'a.yaml')), {
+      rules: {'entity-anchor': 'off', 'under-indented': 'error'}
+    });
+  });
+
+  it('resolves JSON Schema paths relative to the configuration file', function () {
+    const config = new Config({
+      jsonSchema: 'schemas/default.json',
+      overrides: [{files: ['ci/*.yml'], jsonSchema: 'schemas/ci.json'}]
+    }, directory);
+
+    assert.equal(
+      config.optionsForFile(path.join(directory, 'ci', 'build.yml')).jsonSchema,
+      path.join(directory, 'schemas', 'ci.json')
+    );
+    assert.equal(
+      config.optionsForFile(path.join(directory, 'data', 'a.yaml')).jsonSchema,
+      path.join(directory, 'schemas', 'default.json')
+    );
+    assert.throws(() => new Config({jsonSchema: {type: 'object'}}), /`jsonSchema` must be the path/);
+  });
+
+  it('excludes files relative to the configuration file', function () {
+    const config = new Config({exclude: ['vendor/**', '*.md']}, directory);
+
+    assert.equal(config.isExcluded(path.join(directory, 'vendor', 'a.yaml')), true);
+    assert.equal(config.isExcluded(path.join(directory, 'docs', 'a.md')), true);
+    assert.equal(config.isExcluded(path.join(directory, 'docs', 'a.yaml')), false);
+  });
+
+  it('resolves include patterns relative to the configuration file', function () {
+    const config = new Config({include: ['data', 'content/*.md']}, directory);
+
+    assert.deepEqual(config.includePatterns, [
+      path.join(directory, 'data'),
+      path.join(directory, 'content', '*.md')
+    ]);
+  });
+
+  it('throws for unknown rules', function () {
+    assert.throws(
+      () => new Config({rules: {'not-a-rule': 'off'}}),
+      error => {
+        assertIncludes(error.message, 'not-a-rule');
+        return true;
+      }
+    );
+  });
+
+  it('throws for invalid rule levels', function () {
+    assert.throws(() => new Config({rules: {'entity-anchor': 'loud'}}), /must be set to one of/);
+  });
+
+  it('throws for invalid option values', function () {
+    assert.throws(() => new Config({fix: 'yes'}), /`fix` must be true or false/);
+    assert.throws(() => new Config({keepDuplicateKey: 'both'}), /`keepDuplicateKey` must be first or last/);
+    assert.throws(() => new Config({yamlVersion: 1.3}), /`yamlVersion` must be 1.1 or 1.2/);
+    assert.doesNotThrow(() => new Config({yamlVersion: 1.2}));
+    assert.doesNotThrow(() => new Config({compat: ['pyyaml', 'go-yaml']}));
+    assert.throws(() => new Config({compat: ['pyyaml', 'libyaml']}), /`compat` must be pyyaml or/);
+  });
+
+  it('throws for unknown settings', function () {
+    assert.throws(() => new Config({fixx: true}), /unknown setting `fixx`/);
+  });
+});
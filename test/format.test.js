@@ -0,0 +1,115 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+'use strict';
+
+const assert = require('assert');
+const {assertIncludes} = require('./support/assertions');
+const chalk = require('chalk');
+const format = require('../lib/format');
+const path = require('path');
+const unindent = require('./support/unindent');
+const yamlDoctor = require('../lib/check');
+
+describe('format', function () {
+  describe('formatSarif', function () {
+    it('formats issues as SARIF results', function () {
+      const filePath = path.join(process.cwd(), 'some', 'file.yaml');
+      const {issues} = yamlDoctor.check(unindent`
+        some_key: 'it's quoted'
+      `);
+      const log = JSON.parse(format.formatSarif([{filePath, issues}]));
+
+      assert.equal(log.version, '2.1.0');
+      assert.equal(log.runs.length, 1);
+      const run = log.runs[0];
+      assert.equal(run.tool.driver.name, 'YAML Doctor');
+      assert.equal(run.tool.driver.rules.length, 1);
+      assert.equal(run.results.length, 1);
+
+      const result = run.results[0];
+      assert.equal(run.tool.driver.rules[0].id, 'unescaped-quote');
+      assertIncludes(run.tool.driver.rules[0].shortDescription.text, 'escaped');
+      assert.equal(result.ruleId, 'unescaped-quote');
+      assert.equal(result.ruleIndex, 0);
+      assert.equal(result.level, 'error');
+      assert.equal(result.message.text, 'unescaped quote in quoted string');
+      assert.deepEqual(result.locations[0].physicalLocation, {
+        artifactLocation: {uri: 'some/file.yaml'},
+        region: {startLine: 2, startColumn: 14, charOffset: 14}
+      });
+      assert.equal(result.fixes, undefined, 'Unfixed issues should not have fixes');
+    });
+
+    it('includes replacements for fixed issues', function () {
+      const filePath = path.join(process.cwd(), 'file.yaml');
+      const {issues} = yamlDoctor.check(unindent`
+        some_key: @at "sign" value
+      `, {fix: true});
+      const log = JSON.parse(format.formatSarif([{filePath, issues}]));
+
+      const result = log.runs[0].results[0];
+      assert.equal(result.level, 'note');
+      assert.deepEqual(result.fixes[0].artifactChanges, [{
+        artifactLocation: {uri: 'file.yaml'},
+        replacements: [{
+          deletedRegion: {charOffset: 11, charLength: 16},
+          insertedContent: {text: '"@at \\"sign\\" value"'}
+        }]
+      }]);
+    });
+  });
+
+  describe('formatDiff', function () {
+    let chalkLevel;
+
+    before(function () {
+      chalkLevel = chalk.level;
+      chalk.level = 0;
+    });
+
+    after(function () {
+      chalk.level = chalkLevel;
+    });
+
+    it('formats a unified diff with hunks labelled by rule', function () {
+      const content = unindent`
+        some_key: 'it's quoted'
+        a: 1
+        b: 2
+        c: 3
+        d: 4
+        e: 5
+        f: 6
+        g: 7
+        another_key: @at sign value
+      `;
+      const {issues, fixed} = yamlDoctor.check(content, {fix: true});
+      const diff = format.formatDiff('file.yaml', content, fixed, issues);
+
+      assert.equal(diff, [
+        '--- file.yaml',
+        '+++ file.yaml',
+        '@@ -1,5 +1,5 @@ unescaped-quote',
+        ' ',
+        "-some_key: 'it's quoted'",
+        "+some_key: 'it''s quoted'",
+        ' a: 1',
+        ' b: 2',
+        ' c: 3',
+        '@@ -7,4 +7,4 @@ leading-at-sign',
+        ' e: 5',
+        ' f: 6',
+        ' g: 7',
+        '-another_key: @at sign value',
+        '+another_key: "@at sign value"'
+      ].join('\n'));
+    });
+
+    it('returns an empty string if there were no changes', function () {
+      assert.equal(format.formatDiff('file.yaml', 'a: b\n', 'a: b\n', []), '');
+    });
+  });
+});
@@ -45,6 +45,19 @@ describe('StringEditor', function () {
     assert.equal(editor.currentPosition(12), 21);
   });
 
+  it('finds the new position from an original position after several removals', function () {
+    const editor = new StringEditor('ab_cd_ef gh_ij');
+    editor.splice(2, 1);
+    editor.splice(4, 1);
+    editor.splice(9, 1);
+
+    // Original:                ab_cd_ef gh_ij
+    assert.equal(editor.value, 'abcdef ghij');
+    assert.equal(editor.currentPosition(8), 6);
+    assert.equal(editor.currentPosition(10), 8);
+    assert.equal(editor.currentPosition(12), 9);
+  });
+
   it('marks the original line even after line insertions', function () {
     const editor = new StringEditor('abcdefg\nhijklmnop');
     editor.splice(5, 1, 'x');
@@ -0,0 +1,113 @@
+/**
+ * Copyright (C) 2019-2024, Rob Brackett
+ * This is open source software, released under a standard 3-clause
+ * BSD-style license; see the file LICENSE for details.
+ */
+'use strict';
+
+const assert = require('assert');
+const {assertIncludes} = require('./support/assertions');
+const verifyFix = require('../lib/verify-fix');
+
+// Most of these tests make edits in place, so positions are the same in the
+// original and fixed source.
+const samePosition = position => position;
+
+describe('verifyFix', function () {
+  it('accepts fixes that only change what they edited', function () {
+    const original = 'a: "x\\q"\nb:\n  - 1\n  - two\n';
+    const fixed = 'a: "x\\\\"\nb:\n  - 1\n  - two\n';
+    const problem = verifyFix(original, fixed, {
+      edits: [{start: 5, end: 6, text: '\\'}],
+      originalPosition: samePosition
+    });
+
+    assert.equal(problem, null);
+  });
+
+  it('rejects fixes that cause parse errors', function () {
+    const problem = verifyFix('a: x\nb: y\n', 'a: "x\nb: y\n', {
+      edits: [{start: 3, end: 3, text: '"'}],
+      originalPosition: position => position > 3 ? position - 1 : position
+    });
+
+    assertIncludes(problem.reason, 'the fixed YAML has an error');
+  });
+
+  it('accepts parse errors at or after an error that was not fixed', function () {
+    const original = 'a: "x\\q"\nb: [\n';
+    const fixed = 'a: "xq"\nb: [\n';
+    const problem = verifyFix(original, fixed, {
+      edits: [{start: 5, end: 6, text: ''}],
+      originalPosition: position => position > 5 ? position + 1 : position,
+      errorPosition: 12
+    });
+
+    assert.equal(problem, null);
+  });
+
+  it('rejects fixes that change values they did not edit', function () {
+    const original = 'a: x\nb:\n  c: 1\n  d: [2, 3]\n';
+    const fixed = 'a: y\nb:\n  c: 1\n  d: [2, 4]\n';
+    const problem = verifyFix(original, fixed, {
+      edits: [{start: 3, end: 4, text: 'y'}],
+      originalPosition: samePosition
+    });
+
+    assertIncludes(problem.reason, '`b.d[1]`');
+    assert.equal(problem.position, 24);
+  });
+
+  it('rejects fixes that remove values they did not edit', function () {
+    const original = 'a: x\nb: 1\n';
+    const fixed = 'a: x\nc: 1\n';
+    const problem = verifyFix(original, fixed, {
+      edits: [],
+      originalPosition: samePosition
+    });
+
+    assertIncludes(problem.reason, '`b`');
+  });
+
+  it('rejects fixes that add keys they did not edit', function () {
+    // Indenting `b` also pulls `c` up into `a`.
+    const original = 'a:\n  x: 0\nb:\n  c: 1\n';
+    const fixed = 'a:\n  x: 0\n  b:\n  c: 1\n';
+    const problem = verifyFix(original, fixed, {
+      edits: [{start: 10, end: 10, text: '  '}],
+      originalPosition: position => position >= 12 ? position - 2 : position
+    });
+
+    assertIncludes(problem.reason, 'added the key `a.c`');
+  });
+
+  it('accepts fixes that rename or move keys they edited', function () {
+    const original = 'a:\n  1.10: x\nb:\n  c: 1\n\td: 2\n';
+    const fixed = 'a:\n  "1.10": x\nb:\n  c: 1\n  d: 2\n';
+    const edits = [
+      {start: 5, end: 5, text: '"'},
+      {start: 9, end: 9, text: '"'},
+      {start: 24, end: 25, text: '  '}
+    ];
+    const problem = verifyFix(original, fixed, {
+      edits,
+      originalPosition: position => {
+        if (position > 26) return position - 3;
+        return position > 10 ? position - 2 : position > 5 ? position - 1 : position;
+      }
+    });
+
+    assert.equal(problem, null);
+  });
+
+  it('checks the values of keys the fixes edited', function () {
+    const original = 'a:\n  b: 1\n';
+    const fixed = '"a":\n  b: 2\n';
+    const problem = verifyFix(original, fixed, {
+      edits: [{start: 0, end: 0, text: '"'}, {start: 1, end: 1, text: '"'}],
+      originalPosition: position => position > 1 ? position - 2 : position
+    });
+
+    assertIncludes(problem.reason, '`a.b`');
+  });
+});